@@ -1,7 +1,7 @@
 $(function () {
     var firstForm = null;
     $("#updateForm").on("click", function () {
-        firstForm = $(".first-form").empty().jsonEdit(
+        firstForm = $(".first-form").jsonEdit(
             eval($("#inputData").val())
         );
     }).click();
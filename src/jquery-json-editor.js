@@ -8,6 +8,84 @@
  * */
 (function ($) {
 
+    /*!
+     * encodeKey
+     * Escapes an object key so that it can be used as a segment of a field
+     * path in dot notation. The characters "~", ".", "/", "'", '"' and "\\"
+     * are replaced with "~t", "~d", "~s", "~a", "~q" and "~b", the key "+"
+     * (which in field paths is the new item editor of a table) becomes "~+",
+     * the empty key becomes "~e" and the keys containing only digits (which
+     * in field paths are array indices) are prefixed with "~n". For example,
+     * the key "a.b" is escaped to "a~db". The escapes are letters so that
+     * they are not confused with the "~0" and "~1" escapes of the JSON
+     * Pointers, which mean "~" and "/".
+     *
+     * @name encodeKey
+     * @function
+     * @param {String} key The object key.
+     * @return {String} The field path segment.
+     */
+    function encodeKey(key) {
+        key = String(key);
+        if (key === "") return "~e";
+        if (key === "+") return "~+";
+        if (/^\d+$/.test(key)) return "~n" + key;
+        return key.replace(/~/g, "~t").replace(/\./g, "~d")
+            .replace(/\//g, "~s").replace(/'/g, "~a").replace(/"/g, "~q")
+            .replace(/\\/g, "~b");
+    }
+
+    /*!
+     * decodeKey
+     * Returns the object key or the array index represented by a segment of a
+     * field path (see `encodeKey`).
+     *
+     * @name decodeKey
+     * @function
+     * @param {String} segment The field path segment.
+     * @return {String} The object key or the array index.
+     */
+    function decodeKey(segment) {
+        if (segment === "~e") return "";
+        if (segment === "~+") return "+";
+        if (/^~n\d+$/.test(segment)) return segment.substring(2);
+        return segment.replace(/~([tdsaqb])/g, function (match, code) {
+            return "~./'\"\\".charAt("tdsaqb".indexOf(code));
+        });
+    }
+
+    /*!
+     * decodeKeys
+     * Replaces the escaped keys of the objects obtained by unflattening the
+     * data collected from the inputs (see `encodeKey`) with the original
+     * keys.
+     *
+     * @name decodeKeys
+     * @function
+     * @param {Anything} obj The object, the array or the value to process.
+     * @return {Anything} The processed object, array or value.
+     */
+    function decodeKeys(obj) {
+        var result;
+
+        if ($.isArray(obj)) {
+            return $.map(obj, function (item) {
+                return [decodeKeys(item)];
+            });
+        }
+        if (!obj || obj.constructor !== Object) {
+            return obj;
+        }
+
+        result = {};
+        for (var k in obj) {
+            if (obj.hasOwnProperty(k)) {
+                result[decodeKey(k)] = decodeKeys(obj[k]);
+            }
+        }
+        return result;
+    }
+
     /*!
      * findValue
      * Finds a value in parent (object) using the dot notation passed in dotNot.
@@ -28,8 +106,10 @@
         splits = dotNot.split(".");
 
         for (var i = 0; i < splits.length; ++i) {
-            value = parent[splits[i]];
+            value = parent[decodeKey(splits[i])];
             if (value === undefined) return undefined;
+            // There are no values inside null values.
+            if (value === null && i < splits.length - 1) return undefined;
             if (typeof value === "object") parent = value;
         }
 
@@ -57,7 +137,7 @@
         // We remove the last segment of the dot notation string (`dotNot`) and
         // store that last segment in the `name` variable which is used later.
         dotNot = dotNot.split(".");
-        name = dotNot.pop();
+        name = decodeKey(dotNot.pop());
         dotNot = dotNot.join(".");
 
         // We get the parent object in which the `value` should be inserted
@@ -100,7 +180,7 @@
         // We remove the last segment of the dot notation string (`dotNot`) and
         // store that last segment in the `name` variable which is used later.
         dotNot = dotNot.split(".");
-        name = dotNot.pop();
+        name = decodeKey(dotNot.pop());
         dotNot = dotNot.join(".");
 
         // We get the parent object of the value to be deleted.
@@ -207,7 +287,7 @@
         // recursively on the subobjects.
         keys = keys.map(function (key) {
             var val = parseInt(key, 10);
-            if (isNaN(val)) {
+            if (!/^\d+$/.test(key)) {
                 convert = false;
             }
             return val;
@@ -271,39 +351,253 @@
      * @param {Object} obj The current field object.
      * @param {Object} out The field that should be edited (default: `{}`).
      * @param {String} path The path to the field value (default: `""`).
+     * @param {Array} conflicts Optional, the array in which the type
+     * conflicts found in the arrays are added (see `inferItems`).
+     * @param {Boolean} temporal Optional, if true the strings in the ISO 8601
+     * formats get the temporal types (see `getTypeOf`).
      * @return {Object} The schema object.
      */
-    function sch(obj, out, path) {
+    function sch(obj, out, path, conflicts, temporal) {
 
         var t;
         var schema = out || {};
         path = path || "";
 
-        t = getTypeOf(obj);
+        t = getTypeOf(obj, temporal);
         if (t !== "object") {
             return {
                 type: t
             };
         } else {
             for (var k in obj) {
-                var c = obj[k];
-                t = getTypeOf(c);
+                schema[path + k] = inferField(obj[k], path + encodeKey(k),
+                        conflicts, temporal);
+            }
+        }
 
-                if (t === "array" || t === "object") {
-                    schema[path + k] = {
-                        schema: t === "array" ? sch(c[0]) : sch(c),
-                        type: t
-                    };
-                    continue;
-                }
+        return schema;
+    }
+
+    /*!
+     * inferField
+     * Creates the field definition of a value: its type, and the schema of
+     * its fields or items for objects and arrays.
+     *
+     * @name inferField
+     * @function
+     * @param {Anything} value The value of the field.
+     * @param {String} path The path of the field, used in the conflicts.
+     * @param {Array} conflicts Optional, the array in which the type
+     * conflicts are added.
+     * @param {Boolean} temporal Optional, if true the strings in the ISO 8601
+     * formats get the temporal types (see `getTypeOf`).
+     * @return {Object} The field definition.
+     */
+    function inferField(value, path, conflicts, temporal) {
+        var t = getTypeOf(value, temporal), schema;
+
+        // The whole numbers are integers (see `unionFields`).
+        if (t === "number" && value % 1 === 0) {
+            t = "integer";
+        }
+        // The dates which are not at midnight UTC have a time.
+        if (t === "date" && getTypeOf(value) === "date" &&
+                value.getTime() % 86400000 !== 0) {
+            t = "datetime";
+        }
+
+        if (t === "object") {
+            schema = {};
+            for (var k in value) {
+                schema[k] = inferField(value[k], path + "." + encodeKey(k),
+                        conflicts, temporal);
+            }
+            return {
+                schema: schema,
+                type: t
+            };
+        }
+        if (t === "array") {
+            return {
+                schema: inferItems(value, path, conflicts, temporal),
+                type: t
+            };
+        }
+        return {
+            type: t
+        };
+    }
+
+    /*!
+     * inferItems
+     * Creates the schema of the items of an array from all its items (see
+     * `unionFields`): the schema containing the fields of the objects for
+     * arrays of objects, or the definition of the items otherwise. Empty
+     * arrays have an empty schema, like arrays of objects without fields.
+     *
+     * @name inferItems
+     * @function
+     * @param {Array} items The items of the array.
+     * @param {String} path The path of the array field, used in the
+     * conflicts.
+     * @param {Array} conflicts Optional, the array in which the type
+     * conflicts are added.
+     * @param {Boolean} temporal Optional, if true the strings in the ISO 8601
+     * formats get the temporal types (see `getTypeOf`).
+     * @return {Object} The schema of the items.
+     */
+    function inferItems(items, path, conflicts, temporal) {
+        var def = {
+            type: "object",
+            schema: {}
+        };
+
+        for (var i = 0; i < items.length; i++) {
+            def = i === 0 ? inferField(items[0], path, conflicts, temporal) :
+                unionFields(def, inferField(items[i], path, conflicts,
+                            temporal), path, conflicts);
+        }
+        return def.type === "object" ? def.schema : def;
+    }
+
+    /*!
+     * unionFields
+     * Merges the definitions of two values of the same field (for example in
+     * different items of an array). The fields of objects are merged, and
+     * the fields missing in one of them become optional. A null value makes
+     * the field nullable. Different types are a conflict, which is added to
+     * `conflicts`, and the field gets the type "any". If all the types are
+     * elementary, they are kept in the `types` array of the field, so that
+     * each value is edited with the input of its type.
+     *
+     * @name unionFields
+     * @function
+     * @param {Object} a The first field definition.
+     * @param {Object} b The second field definition.
+     * @param {String} path The path of the field, used in the conflicts.
+     * @param {Array} conflicts Optional, the array in which the type
+     * conflicts are added, objects containing the `path` of the field
+     * (without array indices) and its `types`.
+     * @return {Object} The merged field definition.
+     */
+    function unionFields(a, b, path, conflicts) {
+        var merged, conflict, types;
 
-                schema[path + k] = {
-                    type: t
+        /*!
+         * Returns the schema of the items of an array as a field definition.
+         */
+        function itemsToField(schema) {
+            if ($.isEmptyObject(schema)) {
+                return {
+                    type: "undefined"
                 };
             }
+            return typeof Object(schema).type === "string" ? schema : {
+                type: "object",
+                schema: schema
+            };
         }
 
-        return schema;
+        // The items of empty arrays have the type "undefined".
+        if (a.type === "undefined") return b;
+        if (b.type === "undefined") return a;
+
+        // A null value adds the type "null" to a field with several types.
+        if (a.type === "null" && $.isArray(b.types) ||
+                b.type === "null" && $.isArray(a.types)) {
+            merged = $.extend({}, a.type === "null" ? b : a);
+            if ($.inArray("null", merged.types) === -1) {
+                merged.types = merged.types.concat("null");
+            }
+        } else if (a.type === "null" && b.type !== "null") {
+            merged = $.extend({}, b, { nullable: true });
+        } else if (b.type === "null" && a.type !== "null") {
+            merged = $.extend({}, a, { nullable: true });
+        } else if (a.type !== b.type && isValueOfType(0, a.type) &&
+                isValueOfType(0, b.type)) {
+            // The integers and the numbers are numbers.
+            merged = $.extend({}, a, b, {
+                type: "number"
+            });
+        } else if (a.type !== b.type && isValueOfType(new Date(0), a.type) &&
+                isValueOfType(new Date(0), b.type)) {
+            // The dates with and without times are dates with times.
+            merged = $.extend({}, a, b, {
+                type: "datetime"
+            });
+        } else if (a.type !== b.type) {
+            merged = {
+                type: "any"
+            };
+            types = [];
+            $.each([a, b], function (i, def) {
+                $.each(def.type === "any" ? def.types || ["any"] :
+                        def.nullable ? [def.type, "null"] : [def.type],
+                        function (j, type) {
+                    if ($.inArray(type, types) === -1) types.push(type);
+                });
+            });
+            if ($.inArray("number", types) !== -1) {
+                types = $.grep(types, function (type) {
+                    return type !== "integer";
+                });
+            }
+            if ($.grep(types, function (type) {
+                return type === "any" ||
+                    $.inArray(type, knownElementaryFieldTypes) === -1;
+            }).length === 0) {
+                merged.types = types;
+            }
+            if (conflicts) {
+                conflict = $.grep(conflicts, function (c) {
+                    return c.path === path;
+                })[0];
+                if (!conflict) {
+                    conflict = {
+                        path: path,
+                        types: []
+                    };
+                    conflicts.push(conflict);
+                }
+                $.each([a.type, b.type], function (i, type) {
+                    if (type !== "any" &&
+                            $.inArray(type, conflict.types) === -1) {
+                        conflict.types.push(type);
+                    }
+                });
+            }
+        } else {
+            merged = $.extend({}, a);
+            if (a.type === "object") {
+                merged.schema = {};
+                $.each(a.schema, function (k, def) {
+                    merged.schema[k] = b.schema.hasOwnProperty(k) ?
+                        unionFields(def, b.schema[k], path + "." +
+                                encodeKey(k), conflicts) :
+                        $.extend({}, def, { optional: true });
+                });
+                $.each(b.schema, function (k, def) {
+                    if (!a.schema.hasOwnProperty(k)) {
+                        merged.schema[k] = $.extend({}, def, {
+                            optional: true
+                        });
+                    }
+                });
+            } else if (a.type === "array") {
+                merged.schema = unionFields(itemsToField(a.schema),
+                        itemsToField(b.schema), path, conflicts);
+                if (merged.schema.type === "object") {
+                    merged.schema = merged.schema.schema;
+                }
+            }
+        }
+
+        if (a.optional || b.optional) merged.optional = true;
+        if (a.nullable || b.nullable) merged.nullable = true;
+        if (merged.type === "any" || merged.type === "null") {
+            delete merged.nullable;
+        }
+        return merged;
     }
 
     /*!
@@ -313,9 +607,12 @@
      * @name getTypeOf
      * @function
      * @param {Anything} o The input variable.
+     * @param {Boolean} opt_temporal Optional, if true the strings in the ISO
+     * 8601 formats of `temporalFormats` have the types "date", "datetime",
+     * "time" and "duration".
      * @return {String} The type of the input variable.
      */
-    function getTypeOf(o) {
+    function getTypeOf(o, opt_temporal) {
 
         var types = {
             "undefined"                          : "undefined",
@@ -329,10 +626,45 @@
         };
 
         if ($.isArray(o)) return "array";
+        if (opt_temporal && typeof o === "string") {
+            for (var t in temporalFormats) {
+                if (temporalFormats[t].test(o)) return t;
+            }
+        }
         return types[o && Object.prototype.toString.call(o)] ||
             types[typeof o] || types[o] || (o ? "object" : "null");
     }
 
+    /*!
+     * isValueOfType
+     * Checks if a value can be the value of a field of the given type. The
+     * numbers are the values of the fields of type "number" and "integer"
+     * (the fractional values of the integers are rejected by the validation),
+     * the dates are the values of the fields of type "date" and "datetime"
+     * and the strings are the values of the fields of type "string", "time"
+     * and "duration".
+     *
+     * @name isValueOfType
+     * @function
+     * @param {Anything} value The value.
+     * @param {String} type The field type.
+     * @return {Boolean} `true` if the value can be the value of a field of the
+     * given type, `false` otherwise.
+     */
+    function isValueOfType(value, type) {
+        switch (type) {
+            case "integer":
+                return typeof value === "number";
+            case "datetime":
+                return getTypeOf(value) === "date";
+            case "time":
+            case "duration":
+                return typeof value === "string";
+            default:
+                return getTypeOf(value) === type;
+        }
+    }
+
     /*!
      * knownElementaryFieldTypes
      * An array with the known field types without `array` and `object`.
@@ -342,8 +674,45 @@
      * @type {Array}
      * @default
      */
-    var knownElementaryFieldTypes = ["number", "boolean", "string", "regexp",
-        "date"];
+    var knownElementaryFieldTypes = ["number", "integer", "boolean", "string",
+        "regexp",
+        "date", "datetime", "time", "duration", "null", "any"];
+
+    /*!
+     * temporalFormats
+     * The regular expressions matching the ISO 8601 strings of the temporal
+     * field types: dates ("2015-10-22"), dates with times
+     * ("2015-10-22T10:30:00Z", the offset is optional), times ("10:30" or
+     * "10:30:00") and durations ("P1DT2H30M").
+     *
+     * @name temporalFormats
+     * @constant
+     * @type {Object}
+     * @default
+     */
+    var temporalFormats = {
+        date: /^\d{4}-\d{2}-\d{2}$/,
+        datetime: new RegExp(/^\d{4}-\d{2}-\d{2}/.source +
+                /T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?$/.source),
+        time: /^\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/,
+        duration: new RegExp(/^P(?!$)(\d+Y)?(\d+M)?(\d+W)?(\d+D)?/.source +
+                /(T(?=\d)(\d+H)?(\d+M)?(\d+(\.\d+)?S)?)?$/.source)
+    };
+
+    /*!
+     * validationKeywords
+     * An array with the names of the field definition properties containing
+     * validation constraints, which have the same meaning as the JSON Schema
+     * keywords with the same names. The `required` property is not in this
+     * array because in JSON Schema it is set on the parent object.
+     *
+     * @name validationKeywords
+     * @constant
+     * @type {Array}
+     * @default
+     */
+    var validationKeywords = ["minimum", "maximum", "minLength", "maxLength",
+        "pattern", "minItems", "maxItems", "uniqueItems"];
 
     /*!
      * getDefaultValueForType
@@ -358,12 +727,18 @@
 
         return {
             "number" : 0,
+            "integer": 0,
             "boolean": false,
             "string" : "",
             "regexp" : new RegExp(""),
             "date"   : new Date(),
+            "datetime": new Date(),
+            "time"   : "00:00",
+            "duration": "PT0S",
             "object" : {},
-            "array"  : []
+            "array"  : [],
+            "null"   : null,
+            "any"    : null
         }[type];
     }
 
@@ -489,8 +864,7 @@
     function updateDeepestRowIndexInFieldPath(path, indexString) {
         var parts = path.split(".");
         for (var i = parts.length - 1; i >= 0; i--) {
-            if (parts[i] === "+" ||
-                    Number.isInteger(parseInt(parts[i]))) {
+            if (parts[i] === "+" || /^\d+$/.test(parts[i])) {
                 parts[i] = indexString;
                 break;
             }
@@ -498,1507 +872,3071 @@
         return parts.join(".");
     }
 
-    /**
-     * $.fn.jsonEdit
-     * Initializes the JSON editor on selected elements.
+    /*!
+     * getRelativePath
+     * Returns the field path `p` relative to the field path `base`. For
+     * example, when called with the paths "a.b.c" and "a", this function will
+     * return "b.c". When called with the paths "a.b" and "a.b", it will return
+     * an empty string.
      *
-     * @name $.fn.jsonEdit
+     * @name getRelativePath
      * @function
-     * @param {Object} opt_options An object containing the following fields:
+     * @param {String} p The field path which should be made relative.
+     * @param {String} base The base field path. If it is an empty string,
+     * `p` is returned unchanged.
+     * @return {String|undefined} The relative field path or `undefined` if
+     * `p` is not `base` or the path of a descendant of `base`.
+     */
+    function getRelativePath(p, base) {
+        if (!base) return p;
+        if (p === base) return "";
+        if (p.substring(0, base.length + 1) === base + ".") {
+            return p.substring(base.length + 1);
+        }
+    }
+
+    /*!
+     * isJsonSchemaDocument
+     * Returns true if the given schema is a standard JSON Schema document
+     * (draft-07, 2020-12 etc.) instead of a schema written in the format
+     * understood by the JSON editor. A JSON Schema document is recognized by
+     * its `$schema` keyword or by a root `type` of "object" together with a
+     * `properties` object.
      *
-     *  - `data` (Object): The input JSON data (default: `{}`).
-     *  - `schema` (Object): The JSON data schema. The provided object will be
-     *  merged with default schema, which is the one obtained by processing the
-     *  `data`.
-     *  - `autoInit` (Boolean): If `true`, the forms will be added by default
-     *  (default: `true`).
-     *  - `defaultArrayFieldName` (String): The name that a single field in an
-     *  array will take when adding a second field to the array. The default is
-     *  "values".
-     *  - `defaultArrayFieldLabel` (String): The label that a single field in an
-     *  array will take. The default is "Values".
-     *  - `orderProperty` (String): Contains the name of the property in the
-     *  schemas which contains the order in which the fields from the schemas
-     *  should be laid down in the user interface. Default value: "_order".
-     *  - `messages` (Object): An object containing one or more of the following
-     *  properties: `EDIT_FIELD_IN_ARRAY_WITHOUT_FIELDS` (default value:
-     *  "Impossible situation: trying to edit a field in an array without
-     *  fields."), `INVALID_FIELD_NAME` (default value: "The name of the field
-     *  should be a non-empty string without dots, different than "+" and not
-     *  already existing under the path "{0}".") (which can contain the string
-     *  `{0}` that will be replaced with the path of the object in which the
-     *  edited/added field is found). There properties are strings that should
-     *  be translated in the language of the user. By default they contain the
-     *  English version of the messages.
+     * @name isJsonSchemaDocument
+     * @function
+     * @param {Object} schema The schema to test.
+     * @return {Boolean} True if `schema` is a JSON Schema document, false
+     * otherwise.
+     */
+    function isJsonSchemaDocument(schema) {
+        if (getTypeOf(schema) !== "object") {
+            return false;
+        }
+        return typeof schema.$schema === "string" ||
+            (schema.type === "object" &&
+             getTypeOf(schema.properties) === "object");
+    }
+
+    /*!
+     * resolveJsonSchemaRef
+     * Returns the subschema referenced by a local `$ref` (a JSON Pointer
+     * fragment like "#/$defs/address" or "#/definitions/address") inside the
+     * `root` JSON Schema document. References to other documents are not
+     * supported.
      *
-     * @return {Object} The JSON editor object containing:
+     * @name resolveJsonSchemaRef
+     * @function
+     * @param {Object} root The root JSON Schema document.
+     * @param {String} ref The value of the `$ref` keyword.
+     * @return {Object|undefined} The referenced subschema or `undefined` if
+     * it cannot be found.
+     */
+    function resolveJsonSchemaRef(root, ref) {
+        var parts, current = root;
+
+        if (ref.charAt(0) !== "#") return;
+
+        parts = ref.substring(1).split("/");
+        // The first part is the empty string before the first "/".
+        for (var i = 1; i < parts.length; i++) {
+            if (typeof current !== "object" || current === null) return;
+            current = current[decodeURIComponent(parts[i])
+                .replace(/~1/g, "/").replace(/~0/g, "~")];
+        }
+        return current;
+    }
+
+    /*!
+     * parseRegExp
+     * Creates a regular expression from its text: a string like
+     * "/pattern/flags" (as returned by the `toString` method of the regular
+     * expressions) or the pattern alone.
      *
-     *  - `labels` (Object): An object with UI elements used for labels.
-     *  - `groups` (Object): An object with UI elements used for groups.
-     *  - `inputs` (Object): An object with UI elements used for inputs.
-     *  - `container` (jQuery): A jQuery object being the container of the JSON
-     *  editor.
-     *  - `createGroup` (Function): Creates a form group.
+     * @name parseRegExp
+     * @function
+     * @param {String} text The text of the regular expression.
+     * @return {RegExp} The regular expression. An error is thrown if the
+     * pattern or the flags are invalid.
      */
-    var JsonEdit = $.fn.jsonEdit = function (opt_options) {
+    function parseRegExp(text) {
+        var match = /^\/(.*)\/([a-z]*)$/.exec(text);
+        return match ? new RegExp(match[1], match[2]) : new RegExp(text);
+    }
 
-        var settings, self;
+    /*!
+     * fromJsonSchemaValue
+     * Converts a value found in a JSON Schema document (in `enum` or
+     * `default`) to a value of the given field type: strings become dates for
+     * fields of type "date" and regular expressions for fields of type
+     * "regexp" (from "/pattern/flags" strings, see `parseRegExp`). The
+     * invalid regular expressions are kept as strings.
+     *
+     * @name fromJsonSchemaValue
+     * @function
+     * @param {Anything} value The value to convert.
+     * @param {String} type The type of the field to which the value belongs.
+     * @return {Anything} The converted value.
+     */
+    function fromJsonSchemaValue(value, type) {
+        if (typeof value !== "string") return value;
+        if (type === "date" || type === "datetime") return new Date(value);
+        if (type === "regexp") {
+            try {
+                return parseRegExp(value);
+            } catch (e) {
+                return value;
+            }
+        }
+        return value;
+    }
 
-        // Default settings
-        settings = $.extend({
-            data: {},
-            schema: {},
-            autoInit: true,
-            defaultArrayFieldName: "values",
-            defaultArrayFieldLabel: "Values",
-            orderProperty: "_order",
-            messages: {
-                EDIT_FIELD_IN_ARRAY_WITHOUT_FIELDS: "Impossible situation: " +
-                    "trying to edit a field in an array without fields.",
-                INVALID_FIELD_NAME: "The name of the field should be a " +
-                    "non-empty string without dots, different than \"+\" and " +
-                    "not already existing under the path \"{0}\"."
+    /*!
+     * jsonSchemaToFieldDef
+     * Converts a (sub)schema of a standard JSON Schema document into a field
+     * definition understood by the JSON editor. The keywords `properties`,
+     * `items`, `enum`, `required`, `title`, `description`, `default` and
+     * local `$ref`s (pointing in `$defs` or `definitions`) are converted, the
+     * other keywords are ignored.
+     *
+     * @name jsonSchemaToFieldDef
+     * @function
+     * @param {Object} def The JSON Schema (sub)schema to convert.
+     * @param {Object} root The root JSON Schema document, used to resolve
+     * `$ref`s.
+     * @param {String} orderProperty The name of the property in which the
+     * order of the fields in the object schemas is stored.
+     * @param {Array} refs The `$ref`s which are being resolved, used to stop
+     * the conversion of recursive schemas.
+     * @return {Object} The field definition.
+     */
+    function jsonSchemaToFieldDef(def, root, orderProperty, refs) {
+        var field = {}, type, items;
+
+        refs = refs || [];
+        def = def || {};
+
+        // Replace the references with the referenced subschemas. The
+        // keywords found near a `$ref` keyword override the ones in the
+        // referenced subschema.
+        while (typeof def.$ref === "string") {
+            var ref = def.$ref, siblings;
+            // A recursive schema cannot be represented by the form, so the
+            // recursion stops at an object without fields.
+            if (refs.indexOf(ref) !== -1) {
+                return {
+                    type: "object",
+                    schema: {}
+                };
             }
-        }, opt_options);
+            refs = refs.concat(ref);
+            siblings = $.extend({}, def);
+            delete siblings.$ref;
+            def = $.extend({}, resolveJsonSchemaRef(root, ref), siblings);
+        }
 
-        // JSON Editor object
-        self = {
+        type = def.type;
+        // From a list of types we use the first one which is not "null", the
+        // field is nullable if the list contains "null".
+        if ($.isArray(type)) {
+            if ($.inArray("null", type) !== -1) {
+                field.nullable = true;
+            }
+            type = $.grep(type, function (t) {
+                return t !== "null";
+            });
+            // A field with several types can contain any value. If they are
+            // elementary types, each value is edited with the input of its
+            // type.
+            if (type.length > 1 && $.grep(type, function (t) {
+                return $.inArray(t, ["string", "number", "integer",
+                    "boolean"]) === -1;
+            }).length === 0) {
+                field.types = type.concat(field.nullable ? ["null"] : []);
+            }
+            type = type.length > 1 ? "any" :
+                type[0] || (field.nullable ? "null" : undefined);
+            if (type === "null" || type === "any") {
+                delete field.nullable;
+            }
+        }
+        if (typeof type !== "string") {
+            if (typeof def.properties === "object") {
+                type = "object";
+            } else if (typeof def.items === "object") {
+                type = "array";
+            } else if ($.isArray(def["enum"]) && def["enum"].length > 0) {
+                type = getTypeOf(def["enum"][0]);
+            } else {
+                type = "string";
+            }
+        }
 
-            // UI
-            labels: $.extend(JsonEdit.labels, opt_options.labels),
-            groups: $.extend(JsonEdit.groups, opt_options.groups),
-            inputs: $.extend(JsonEdit.inputs, opt_options.inputs),
-            container: this,
+        switch (type) {
+            case "string":
+                if (def.format === "date") {
+                    type = "date";
+                } else if (def.format === "date-time") {
+                    type = "datetime";
+                } else if (def.format === "time" ||
+                        def.format === "duration") {
+                    type = def.format;
+                } else if (def.format === "regex") {
+                    type = "regexp";
+                }
+                break;
+        }
+        field.type = type;
 
-            // Data manipulation
-            converters: $.extend(JsonEdit.converters, opt_options.converters),
-        };
+        if (typeof def.title === "string") {
+            field.label = def.title;
+        }
+        if (typeof def.description === "string") {
+            field.description = def.description;
+        }
+        if (typeof def["default"] !== "undefined") {
+            field["default"] = fromJsonSchemaValue(def["default"], type);
+        }
+        if ($.isArray(def["enum"])) {
+            field.possible = $.map(def["enum"], function (v) {
+                return [fromJsonSchemaValue(v, type)];
+            });
+        }
+        $.each(validationKeywords, function (i, keyword) {
+            if (typeof def[keyword] !== "undefined") {
+                field[keyword] = def[keyword];
+            }
+        });
+
+        if (type === "object") {
+            field.schema = {};
+            field.schema[orderProperty] = [];
+            $.each(def.properties || {}, function (name, propDef) {
+                field.schema[orderProperty].push(name);
+                field.schema[name] = jsonSchemaToFieldDef(propDef, root,
+                        orderProperty, refs);
+            });
+            $.each($.isArray(def.required) ? def.required : [],
+                    function (i, name) {
+                if (field.schema[name]) {
+                    field.schema[name].required = true;
+                }
+            });
+        } else if (type === "array") {
+            items = def.items;
+            // A tuple validation array (`items` in draft-07) is represented
+            // like an array of items of the first type in the tuple.
+            if ($.isArray(items)) {
+                items = items[0];
+            }
+            if (typeof items === "object") {
+                items = jsonSchemaToFieldDef(items, root, orderProperty, refs);
+                // An array of objects is a table with a column for each
+                // field of the objects, while an array of elementary values
+                // is a table with a single column, represented with the
+                // definition of the items in the `schema` property.
+                field.schema = items.type === "object" ? items.schema : items;
+            } else {
+                field.schema = {};
+                field.schema[orderProperty] = [];
+            }
+        }
 
-        /*!
-         * schemaCoreProperties
-         * Sets the core properties in a field definition schema if they are not
-         * set: `type` on fields with possible values that don't have it set,
-         * `schema` and the value of `settings.orderProperty` inside `schema` on
-         * fields of type "object" and "array", and on definitions of fields of
-         * elementary type: `name`, `path` and `label`.
-         *
-         * @name schemaCoreProperties
-         * @function
-         * @param {Object} schema The current field schema object.
-         * @param {String} path The path to the field value.
-         * @return {undefined}
-         */
-        function schemaCoreProperties(schema, path) {
-            path = path || "";
-            for (var fieldName in schema) {
-                var currentFieldDef, defCanContainMoreFields;
+        return field;
+    }
 
-                // A field schema contains properties whose names are the names
-                // of the fields in it and whose values are the field definition
-                // of these fields, and besides these, a property with the name
-                // stored in `settings.orderProperty` with the value being an
-                // array of 0 or more strings. This property is required in the
-                // schema resulted from the call to `schemaCoreProperties` but
-                // it is optional in the schema passed to it which is the schema
-                // given by the user. This `for` loop ignores the existing order
-                // arrays inside the schemas.
-                if (!schema.hasOwnProperty(fieldName) ||
-                        fieldName === settings.orderProperty) continue;
-
-                currentFieldDef = schema[fieldName];
-                defCanContainMoreFields =
-                    currentFieldDef.type === "object" ||
-                    currentFieldDef.type === "array";
-                // If the schema can contain more fields,
-                if (defCanContainMoreFields) {
-                    // recursively process them
-                    schemaCoreProperties(currentFieldDef.schema, path +
-                            fieldName + ".");
+    /*!
+     * fromJsonSchema
+     * Converts a standard JSON Schema document describing an object into the
+     * schema format understood by the JSON editor (an object containing the
+     * field definitions and the order of the fields).
+     *
+     * @name fromJsonSchema
+     * @function
+     * @param {Object} jsonSchema The JSON Schema document.
+     * @param {String} orderProperty The name of the property in which the
+     * order of the fields in the object schemas is stored.
+     * @return {Object} The schema in the format of the JSON editor.
+     */
+    function fromJsonSchema(jsonSchema, orderProperty) {
+        return jsonSchemaToFieldDef(jsonSchema, jsonSchema,
+                orderProperty).schema || {};
+    }
 
-                // If the type is not specified but a non-empty array of
-                // possible values is specified
-                } else if (!currentFieldDef.type && currentFieldDef.possible) {
-                    // set the type obtained by analyzing the first possible
-                    // value
-                    currentFieldDef.type = getTypeOf(
-                            currentFieldDef.possible[0]);
+    /*!
+     * toJsonSchemaValue
+     * Converts a value from the data of the JSON editor to a value that can
+     * be written in a JSON Schema document (in `enum` or `default`): dates
+     * become ISO 8601 strings and regular expressions become "/pattern/flags"
+     * strings, like in the serializers.
+     *
+     * @name toJsonSchemaValue
+     * @function
+     * @param {Anything} value The value to convert.
+     * @param {String} type The type of the field to which the value belongs.
+     * @return {Anything} The converted value.
+     */
+    function toJsonSchemaValue(value, type) {
+        switch (getTypeOf(value)) {
+            case "date":
+                value = value.toISOString();
+                return type === "date" ? value.substring(0, 10) : value;
+            case "regexp":
+                return value.toString();
+            case "array":
+                return $.map(value, function (v) {
+                    return [toJsonSchemaValue(v)];
+                });
+            case "object":
+                var obj = {};
+                for (var k in value) {
+                    if (value.hasOwnProperty(k)) {
+                        obj[k] = toJsonSchemaValue(value[k]);
+                    }
                 }
-                currentFieldDef.label = currentFieldDef.label || fieldName;
-                currentFieldDef.path = path + fieldName;
-                currentFieldDef.name = fieldName;
+                return obj;
+        }
+        return value;
+    }
 
-                // If `currentFieldDef` can contain more fields and it does not
-                // contain a single field (if it contains a single field
-                // `schema[settings.orderProperty]` should not exist) and it
-                // does not have the order of its fields specified (in
-                // `schema[settings.orderProperty]`),
-                if (defCanContainMoreFields &&
-                        typeof Object(currentFieldDef.schema).type !== "string" &&
-                        !Array.isArray(Object(currentFieldDef.schema)
-                            [settings.orderProperty])) {
-                    // Generate an empty schema if there is no schema specified.
-                    currentFieldDef.schema = currentFieldDef.schema || {};
-                    // Generate the default order of the fields inside the
-                    // schema using `Object.keys`.
-                    currentFieldDef.schema[settings.orderProperty] =
-                        Object.keys(currentFieldDef.schema);
-                }
-            }
+    /*!
+     * objectSchemaToJsonSchema
+     * Converts the schema of a field of type "object" (or the root schema)
+     * into a JSON Schema of type "object".
+     *
+     * @name objectSchemaToJsonSchema
+     * @function
+     * @param {Object} schema The schema containing the field definitions.
+     * @param {String} orderProperty The name of the property in which the
+     * order of the fields in the schema is stored.
+     * @return {Object} The JSON Schema of type "object".
+     */
+    function objectSchemaToJsonSchema(schema, orderProperty) {
+        var order, out = {
+            type: "object",
+            properties: {}
+        }, required = [];
+
+        schema = schema || {};
+        order = schema[orderProperty];
+        if (!$.isArray(order)) {
+            order = $.grep(Object.keys(schema), function (k) {
+                return k !== orderProperty;
+            });
         }
 
-        /*!
-         * hasEmptySchema
-         * A function that checks if the given field definition of an array or
-         * of an object has a schema without any fields.
-         *
-         * @name hasEmptySchema
-         * @function
-         * @param {Object} def The definition of the field whose schema to
-         * check.
-         * @return {Boolean} True if the schema of the given field has no
-         * fields, false otherwise.
-         */
-        function hasEmptySchema(def) {
-            // This function only works with fields of type "object" and "array"
-            // which have a correct schema. A correct schema always has an array
-            // property with the name taken from `settings.orderProperty`.
-            if (getTypeOf(def.schema) !== "object" ||
-                    getTypeOf(def.schema[settings.orderProperty]) !== "array") {
-                return;
+        for (var i = 0; i < order.length; i++) {
+            var def = schema[order[i]];
+            if (typeof def !== "object" || def === null) continue;
+
+            out.properties[order[i]] = fieldDefToJsonSchema(def,
+                    orderProperty);
+            if (def.required) {
+                required.push(order[i]);
             }
-            return def.schema[settings.orderProperty].length === 0;
         }
+        if (required.length > 0) {
+            out.required = required;
+        }
+        return out;
+    }
 
-        /*!
-         * updateDescendantDefPaths
-         * Updates the paths of the descendant field definitions according to
-         * the path of the given field definition and to the names of the
-         * descendant fields. For example if `def.path` is
-         * "first.second" and `def` contains a field with the path
-         * "first.test.third", the new path of that field will be
-         * "first.second.third".
-         *
-         * @name updateDescendantDefPaths
-         * @function
-         * @param {Object} def The definition of the field whose descendant
-         * fields' paths should be updated.
-         * @return {undefined}
-         */
-        function updateDescendantDefPaths(def) {
-            var p;
+    /*!
+     * fieldDefToJsonSchema
+     * Converts a field definition of the JSON editor into a JSON Schema. This
+     * is the inverse of the `jsonSchemaToFieldDef` function.
+     *
+     * @name fieldDefToJsonSchema
+     * @function
+     * @param {Object} def The field definition to convert.
+     * @param {String} orderProperty The name of the property in which the
+     * order of the fields in the object schemas is stored.
+     * @return {Object} The JSON Schema.
+     */
+    function fieldDefToJsonSchema(def, orderProperty) {
+        var out;
 
-            // If the `def` field definition is of an elementary type (so it has
-            // no `schema` property of type "object") don't do anything
-            if (typeof def.schema !== "object") return;
+        switch (def.type) {
+            case "object":
+                out = objectSchemaToJsonSchema(def.schema, orderProperty);
+                break;
+            case "array":
+                out = {
+                    type: "array"
+                };
+                // An array with a single column has the definition of its
+                // items directly in the `schema` property.
+                if (typeof Object(def.schema).type === "string") {
+                    out.items = fieldDefToJsonSchema(def.schema,
+                            orderProperty);
+                } else if (def.schema &&
+                        $.isArray(def.schema[orderProperty]) &&
+                        def.schema[orderProperty].length > 0) {
+                    out.items = objectSchemaToJsonSchema(def.schema,
+                            orderProperty);
+                }
+                break;
+            case "date":
+                out = {
+                    type: "string",
+                    format: "date"
+                };
+                break;
+            case "datetime":
+                out = {
+                    type: "string",
+                    format: "date-time"
+                };
+                break;
+            case "time":
+            case "duration":
+                out = {
+                    type: "string",
+                    format: def.type
+                };
+                break;
+            case "regexp":
+                out = {
+                    type: "string",
+                    format: "regex"
+                };
+                break;
+            // Any value is valid against an empty schema, and the values of
+            // a field with several types are valid against the list of their
+            // JSON types.
+            case "any":
+                out = {};
+                if ($.isArray(def.types)) {
+                    out.type = [];
+                    $.each(def.types, function (i, type) {
+                        type = fieldDefToJsonSchema({
+                            type: type
+                        }, orderProperty).type;
+                        if ($.inArray(type, out.type) === -1) {
+                            out.type.push(type);
+                        }
+                    });
+                }
+                break;
+            default:
+                out = {
+                    type: def.type
+                };
+                break;
+        }
 
-            p = def.path;
+        if (def.nullable === true && typeof out.type === "string" &&
+                def.type !== "null") {
+            out.type = [out.type, "null"];
+        }
 
-            for (var fieldName in def.schema) {
-                var subDef;
+        // The label is set by default to the name of the field, so it is
+        // exported only when it is different.
+        if (typeof def.label === "string" && def.label !== def.name) {
+            out.title = def.label;
+        }
+        if (typeof def.description === "string") {
+            out.description = def.description;
+        }
+        if (typeof def["default"] !== "undefined") {
+            out["default"] = toJsonSchemaValue(def["default"], def.type);
+        }
+        if ($.isArray(def.possible)) {
+            out["enum"] = $.map(def.possible, function (v) {
+                return [toJsonSchemaValue(v, def.type)];
+            });
+        }
+        $.each(validationKeywords, function (i, keyword) {
+            if (typeof def[keyword] !== "undefined") {
+                out[keyword] = toJsonSchemaValue(def[keyword]);
+            }
+        });
 
-                if (!def.schema.hasOwnProperty(fieldName) ||
-                        fieldName === settings.orderProperty) {
-                    continue;
-                }
+        return out;
+    }
 
-                subDef = def.schema[fieldName];
+    /*!
+     * parsePointer
+     * Splits a JSON Pointer (RFC 6901) in its unescaped reference tokens.
+     *
+     * @name parsePointer
+     * @function
+     * @param {String} pointer The JSON Pointer, for example "/keyboards/0".
+     * The empty string points to the entire document.
+     * @return {Array} The reference tokens, for example `["keyboards", "0"]`.
+     */
+    function parsePointer(pointer) {
+        if (pointer === "") {
+            return [];
+        }
+        if (typeof pointer !== "string" || pointer.charAt(0) !== "/") {
+            throw new Error("Invalid JSON Pointer: " + pointer);
+        }
+        return $.map(pointer.substring(1).split("/"), function (token) {
+            return token.replace(/~1/g, "/").replace(/~0/g, "~");
+        });
+    }
 
-                subDef.path = p + "." + fieldName;
-                if (subDef.type === "object" ||
-                        subDef.type === "array") {
-                    updateDescendantDefPaths(subDef);
-                }
-            }
+    /*!
+     * pathToPointer
+     * Converts a field path in dot notation to a JSON Pointer (RFC 6901).
+     *
+     * @name pathToPointer
+     * @function
+     * @param {String} path The field path, for example "keyboards.0".
+     * @return {String} The JSON Pointer, for example "/keyboards/0".
+     */
+    function pathToPointer(path) {
+        if (!path) {
+            return "";
         }
+        return "/" + $.map(path.split("."), function (segment) {
+            return decodeKey(segment).replace(/~/g, "~0")
+                .replace(/\//g, "~1");
+        }).join("/");
+    }
 
-        /*!
-         * createAddButton
-         * Returns a new add button to be inserted in a table (which is the UI
-         * for an array).
-         *
-         * @name createAddButton
-         * @function
-         * @return The new add button.
-         */
-        function createAddButton($table) {
-            return $("<input>", {
-                type: "button",
-                val: "+",
-                on: {
-                    click: function () {
-                        var path = $table.attr("data-json-editor-path");
-                        var data = self.getData(path + ".+", $table, true);
-                        self.add($table, data);
+    /*!
+     * valuesAreEqual
+     * Checks whether two values are deeply equal. The dates are compared by
+     * their time and the regular expressions by their source and flags.
+     *
+     * @name valuesAreEqual
+     * @function
+     * @param {Anything} a The first value.
+     * @param {Anything} b The second value.
+     * @return {Boolean} `true` if the values are equal, `false` otherwise.
+     */
+    function valuesAreEqual(a, b) {
+        var type = getTypeOf(a), keys;
 
-                        // We use `undefined` when the data is an elementary
-                        // object, and an empty object when it is an object with
-                        // properties. If `data` is an object without any own
-                        // properties, it does not matter if below we call
-                        // `self.setData` with `undefined` or `{}` because the
-                        // `self.setData` method will skip over the new item
-                        // editor in the table because in the row of the new
-                        // item editor there is no element with the
-                        // `data-json-editor-path` attribute set.
-                        if (isElementaryValue(data)) {
-                            data = undefined;
-                        } else {
-                            data = {};
-                        }
-                        self.setData(path + ".+", data);
+        if (type !== getTypeOf(b)) {
+            return false;
+        }
+
+        switch (type) {
+            case "date":
+                // Invalid dates are equal.
+                return a.getTime() === b.getTime() ||
+                    (isNaN(a.getTime()) && isNaN(b.getTime()));
+            case "regexp":
+                return a.toString() === b.toString();
+            case "array":
+                if (a.length !== b.length) {
+                    return false;
+                }
+                for (var i = 0; i < a.length; i++) {
+                    if (!valuesAreEqual(a[i], b[i])) {
+                        return false;
                     }
-                },
-                "data-json-editor-control": "add"
-            });
+                }
+                return true;
+            case "object":
+                keys = Object.keys(a);
+                if (keys.length !== Object.keys(b).length) {
+                    return false;
+                }
+                for (var j = 0; j < keys.length; j++) {
+                    if (!b.hasOwnProperty(keys[j]) ||
+                            !valuesAreEqual(a[keys[j]], b[keys[j]])) {
+                        return false;
+                    }
+                }
+                return true;
+            default:
+                // `NaN` values (from empty number inputs) are equal.
+                return a === b || (a !== a && b !== b);
         }
+    }
 
-        /*!
-         * createDeleteButton
-         * Returns a new delete button to be inserted in a table (the UI for an
-         * array).
-         *
-         * @name createDeleteButton
-         * @function
-         * @param {jQuery} $table The jQuery element of the table representation
-         * of the array for which the delete button is created.
-         * @return The new delete button.
-         */
-        function createDeleteButton($table) {
-            return $("<button>", {
-                text: "×",
-                "data-json-editor-control": "delete",
-                on: {
-                    click: function () {
-                        self.delete($(this).closest("tr"));
-                        self.resetPathIndicesInTable($table);
+    /*!
+     * cloneValue
+     * Returns a deep copy of the given value. The dates and the regular
+     * expressions are copied too, the other objects are copied by `$.extend`.
+     *
+     * @name cloneValue
+     * @function
+     * @param {Anything} value The value to copy.
+     * @return {Anything} The copy of the value.
+     */
+    function cloneValue(value) {
+        switch (getTypeOf(value)) {
+            case "date":
+                return new Date(value.getTime());
+            case "regexp":
+                return new RegExp(value.source, value.flags);
+            case "array":
+                return $.map(value, function (item) {
+                    return [cloneValue(item)];
+                });
+            case "object":
+                var copy = {};
+                for (var k in value) {
+                    if (value.hasOwnProperty(k)) {
+                        copy[k] = cloneValue(value[k]);
                     }
                 }
-            });
+                return copy;
+            default:
+                return value;
         }
+    }
+
+    /*!
+     * mergeUnknown
+     * Merges the data collected from the form with the original data from
+     * which the form was created: the object keys which are not shown in the
+     * form keep their original values, and so do the values which were not
+     * changed in the form (the form may have converted them, for example
+     * when their type is different than the one in the schema). The items of
+     * the arrays are merged with the original items they were created from,
+     * so that adding or deleting an item does not lose the unknown data of
+     * the other items. Without the original indices, the items of the arrays
+     * whose length was changed are not merged.
+     *
+     * @name mergeUnknown
+     * @function
+     * @param {Anything} original The original data.
+     * @param {Anything} current The data currently in the form.
+     * @param {Anything} initial The data that was in the form when it was
+     * created from `original`.
+     * @param {Function} opt_getIndices Optional, a function returning, for
+     * the path of an array, the indices of the original items from which
+     * the current items were created (`undefined` for the new items), or
+     * `null` if they are not known.
+     * @param {String} opt_path Optional, the path of the data, given to
+     * `opt_getIndices`.
+     * @return {Anything} The merged data.
+     */
+    function mergeUnknown(original, current, initial, opt_getIndices,
+            opt_path) {
+        var merged, indices, k;
 
         /*!
-         * deleteControlsColumn
-         * Deletes the column at the end of `$table` with the add/delete buttons
-         * and adds those buttons in the last remaining column in the table.
-         *
-         * @name deleteControlsColumn
-         * @function
-         * @param {jQuery} $table The jQuery element of the table representaton
-         * of the array in which the controls column is deleted.
-         * @return {undefined}
+         * Returns the path of a key or an index of the merged value.
          */
-        function deleteControlsColumn($table) {
-            // We do not use a simpler selector with the jQuery `find` method
-            // because we do not want to remove cells from nested tables.
-            $table.children("tbody").children("tr").each(function (i, e) {
-                $(e).children("td:last").remove();
-            });
-            $table.children("tfoot").children("tr").each(function (i, e) {
-                $(e).children("td:last").remove();
-            });
-            addControlsToLastColumn($table);
+        function childPath(key) {
+            return (opt_path ? opt_path + "." : "") + encodeKey(String(key));
         }
 
-        /*!
-         * deleteAllNestedFields
-         * Deletes all the nested fields inside a field definition. It works
-         * only with fields of type "object" or "array" (it would not make sense
-         * for fields of elementary types which cannot have nested fields).
-         * Using this function is a way to initialize the schema of a field of
-         * type "object" or "array". This means that we set the schema property
-         * of the field to an empty object and we set the
-         * `settings.orderProperty` property of the schema to an empty array.
-         *
-         * @name deleteAllNestedFields
-         * @function
-         * @param {Object} def The field definition from which to delete all the
-         * nested fields.
-         * @return {undefined}
-         */
-        function deleteAllNestedFields(def) {
-            def.schema = {};
-            def.schema[settings.orderProperty] = [];
+        if (getTypeOf(current) === "object" &&
+                getTypeOf(original) === "object") {
+            initial = getTypeOf(initial) === "object" ? initial : {};
+            merged = {};
+            // The original order of the keys is kept.
+            for (k in original) {
+                if (!original.hasOwnProperty(k)) continue;
+                if (current.hasOwnProperty(k)) {
+                    merged[k] = mergeUnknown(original[k], current[k],
+                            initial[k], opt_getIndices, childPath(k));
+                } else if (!initial.hasOwnProperty(k)) {
+                    merged[k] = cloneValue(original[k]);
+                }
+            }
+            for (k in current) {
+                if (current.hasOwnProperty(k) && !merged.hasOwnProperty(k)) {
+                    merged[k] = current[k];
+                }
+            }
+            return merged;
         }
 
-        /*!
-         * deleteColumn
-         * Deletes a column from an array table, the column being identified
-         * using the `$th` table column header argument which is a jQuery
-         * element.
-         *
-         * @name deleteColumn
-         * @function
-         * @param {jQuery} $th The header `<th>` of the column which should be
-         * deleted.
-         * @return {undefined}
-         */
-        function deleteColumn($th) {
-            var path, name, def;
-            // Get the table header row, the one which contains `$th`.
-            var $tr = $th.closest("tr");
-            // Get the index of the column which contains `$th`.
-            var i = $th.index();
-            // Get the table containing the `$th`.
-            var $table = $tr.closest("table");
-            // :nth-child selector uses 1-based indices. Select all the table
-            // cells with the index (i + 1) inside the parent rows in the table
-            // body and in the table footer, then remove them from the document.
-            // We do not use a simpler selector with the jQuery `find` method
-            // because we do not want to remove cells from tables inside this
-            // table's cells (which are the cells of `$table`).
-            $table.children("tbody").children("tr")
-                .children("td:nth-child(" + (i + 1) + ")").remove();
-            $table.children("tfoot").children("tr")
-                .children("td:nth-child(" + (i + 1) + ")").remove();
-            // Also remove the column header `$th`.
-            $th.remove();
+        if (getTypeOf(current) === "array" &&
+                getTypeOf(original) === "array" &&
+                getTypeOf(initial) === "array") {
+            indices = opt_getIndices ? opt_getIndices(opt_path || "") : null;
+            if ($.isArray(indices) && indices.length === current.length) {
+                return $.map(current, function (item, i) {
+                    if (typeof indices[i] !== "number") return [item];
+                    return [mergeUnknown(original[indices[i]], item,
+                            initial[indices[i]], opt_getIndices,
+                            childPath(i))];
+                });
+            }
+            if (current.length === initial.length) {
+                return $.map(current, function (item, i) {
+                    return [mergeUnknown(original[i], item, initial[i],
+                            opt_getIndices, childPath(i))];
+                });
+            }
+        }
 
-            // Also remove the column (field) from the array schema so
-            // that the add new field button will work correctly, will
-            // not add the deleted field to the new array items.
+        if (typeof original !== "undefined" &&
+                valuesAreEqual(current, initial)) {
+            return cloneValue(original);
+        }
+        return current;
+    }
 
-            // The path to the field represented by the table.
-            path = $table.attr("data-json-editor-path");
-            name = $th.attr("data-json-editor-name");
-            def = self.getDefinitionAtPath(path);
-            // If there is only a single column in the table, its `<th>` will
-            // have the `data-json-editor-name` attribute set to an empty
-            // string.
-            if (name.length > 0) {
-                var order;
+    /*!
+     * getJsonErrorOffset
+     * Returns the offset of the first syntax error in a JSON text. The
+     * messages of the errors thrown by `JSON.parse` differ between the
+     * browsers and some of them do not contain the position of the error,
+     * so the text is scanned again.
+     *
+     * @name getJsonErrorOffset
+     * @function
+     * @param {String} text The JSON text.
+     * @return {Number} The offset of the unexpected character, or the length
+     * of the text if the text ends too early (or if it is valid JSON).
+     */
+    function getJsonErrorOffset(text) {
+        var i = 0;
 
-                delete def.schema[name];
-                order = def.schema[settings.orderProperty];
-                order.splice(order.indexOf(name), 1);
-                // If there remains just one column after removing the selected
-                // column, move the add/delete item buttons inside the single
-                // column, set an empty `data-json-editor-name` attribute to the
-                // column header and change the attributes of the rows and of
-                // the inputs in the rows so that the `getData` method will not
-                // return an array of objects with a single property but an
-                // array of elementary objects (strings, numbers, dates etc.).
-                // Also update the definition of the array to have its only
-                // field's schema directly in the `schema` property.
-                if (order.length === 1) {
-                    var $tfootRow, $tfootInput;
+        /*!
+         * Stops the scan at the current offset.
+         */
+        function fail() {
+            throw i;
+        }
 
-                    deleteControlsColumn($table);
+        /*!
+         * The scanning functions below move the offset `i` after the
+         * whitespace, a literal, a string, the digits, a number or a value.
+         */
+        function skipWhitespace() {
+            while (/[ \t\n\r]/.test(text.charAt(i))) {
+                i++;
+            }
+        }
 
-                    // Update the UI (the table rows in the table body) to
-                    // represent the new schema.
-                    // Here we do not use a simpler selector with the jQuery
-                    // `find` method because we do not want to affect nested
-                    // tables.
-                    $table.children("tbody").children("tr")
-                            .each(function (i, e) {
-                        var $e = $(e);
-                        $e.removeAttr("data-json-editor-path");
-                        $e.removeAttr("data-json-editor-type");
-                        $e.children("td").each(function (ii, td) {
-                            var $ee = $(td)
-                                .find("[data-json-editor-path]:first");
-                            var oldPath = $ee.attr("data-json-editor-path");
-                            var newPath = path + "." + i;
-                            $ee.attr("data-json-editor-path", newPath);
-                            $ee.find("[data-json-editor-path]")
-                                .each(function (iii, eee) {
-                                    var $eee = $(eee);
-                                    $eee.attr("data-json-editor-path",
-                                            replaceBeginningOfFieldPath($eee
-                                                .attr("data-json-editor-path"),
-                                                oldPath, newPath));
-                                });
-                        });
-                    });
-                    // Also update the row in the table footer.
-                    // Here we do not use a simpler selector with the jQuery
-                    // `find` method because we do not want to affect nested
-                    // tables.
-                    $tfootRow = $table.children("tfoot").children("tr");
-                    $tfootRow.removeAttr("data-json-editor-path");
-                    $tfootRow.removeAttr("data-json-editor-type");
-                    $tfootInput = $tfootRow.find("[data-json-editor-path]:first");
-                    var p = $tfootInput.attr("data-json-editor-path");
-                    $tfootInput.attr("data-json-editor-path", path + ".+");
-                    $tfootInput.find("[data-json-editor-path]").each(
-                            function (i, e) {
-                        $e = $(e);
-                        $e.attr("data-json-editor-path",
-                                replaceBeginningOfFieldPath(
-                                    $e.attr("data-json-editor-path"),
-                                    p, path + ".+"));
+        function scanLiteral(word) {
+            for (var j = 0; j < word.length; j++, i++) {
+                if (text.charAt(i) !== word.charAt(j)) fail();
+            }
+        }
 
+        function scanString() {
+            var c;
 
-                    });
-                    // Also update the row in the table header.
-                    $table.children("thead:first").children("tr:first")
-                        .children("th:first")
-                        .attr("data-json-editor-name", "");
+            for (i++; (c = text.charAt(i)) !== "\""; i++) {
+                if (c === "" || c < " ") fail();
+                if (c !== "\\") continue;
 
-                    def.schema = def.schema[order[0]];
+                c = text.charAt(++i);
+                if (c === "u") {
+                    for (var j = 0; j < 4; j++) {
+                        if (!/[0-9a-fA-F]/.test(text.charAt(++i))) fail();
+                    }
+                } else if (c === "" || "\"\\/bfnrt".indexOf(c) === -1) {
+                    fail();
                 }
-            } else {
-                deleteAllNestedFields(def);
-                addColumnWithControls($table);
             }
+            i++;
         }
 
-        /*!
-         * addColumnWithControls
-         * Adds as a last column to the specified jQuery table element a column
-         * with an add new item control in the `<tfoot>` row and with delete
-         * item controls in each of the rows in the `<tbody>`.
-         *
-         * @name addColumnWithControls
-         * @function
-         * @param {jQuery} $table The table jQuery element to which to add the
-         * controls.
-         * @return {undefined}
-         */
-        function addColumnWithControls($table) {
-            // If the array schema contained a single field, add a new column
-            // with the delete item and add item buttons which existed only in
-            // the <td>s from the deleted column (or, when adding a new column
-            // to a table with a single column, which existed only in the old
-            // single column).
-            $table.children("tbody").children("tr").each(function (i, e) {
-                $(e).append($("<td>").append(
-                            createDeleteButton($table)));
-            });
-            $table.children("tfoot").children("tr").each(function (i, e) {
-                $(e).append($("<td>").append(
-                            createAddButton($table)));
-            });
+        function scanDigits() {
+            if (!/\d/.test(text.charAt(i))) fail();
+            while (/\d/.test(text.charAt(i))) {
+                i++;
+            }
         }
 
-        /*!
-         * addControlsToLastColumn
-         * Adds in the last column of the specified jQuery table element
-         * controls with an add new item control in the `<tfoot>` row and with
-         * delete item controls in each of the rows in the `<tbody>`.
-         *
-         * @name addControlsToLastColumn
-         * @function
-         * @param {jQuery} $table The table jQuery element to which to add the
-         * controls.
-         * @return {undefined}
-         */
-        function addControlsToLastColumn($table) {
-            // Here we must keep the code working well in the case of nested
-            // tables.
-            $table.children("tbody").children("tr").children("td:last-child")
-                    .each(function (i, e) {
-                $(e).append(createDeleteButton($table));
-            });
-            $table.children("tfoot").children("tr:first").children("td:last")
-                    .each(function (i, e) {
-                $(e).append(createAddButton($table));
-            });
+        function scanNumber() {
+            if (text.charAt(i) === "-") i++;
+            if (text.charAt(i) === "0") {
+                i++;
+            } else {
+                scanDigits();
+            }
+            if (text.charAt(i) === ".") {
+                i++;
+                scanDigits();
+            }
+            if (/[eE]/.test(text.charAt(i))) {
+                i++;
+                if (/[+-]/.test(text.charAt(i))) i++;
+                scanDigits();
+            }
         }
 
-        /*!
-         * createDeleteFieldButton
-         * Returns a new delete field button to be inserted in a column header
-         * in a table with the `deletableFields` schema property set to `true`.
-         *
-         * @name createDeleteFieldButton
-         * @function
-         * @return {jQuery} The new delete field button.
-         */
-        function createDeleteFieldButton() {
-            return $("<input>", {
-                type: "button",
-                value: "× Delete field",
-                on: {
-                    click: function () {
-                        deleteColumn($(this).parent());
+        function scanValue() {
+            var c, end;
+
+            skipWhitespace();
+            c = text.charAt(i);
+            if (c === "{" || c === "[") {
+                end = c === "{" ? "}" : "]";
+                i++;
+                skipWhitespace();
+                if (text.charAt(i) === end) {
+                    i++;
+                    return;
+                }
+                for (;;) {
+                    if (end === "}") {
+                        skipWhitespace();
+                        if (text.charAt(i) !== "\"") fail();
+                        scanString();
+                        skipWhitespace();
+                        if (text.charAt(i) !== ":") fail();
+                        i++;
                     }
+                    scanValue();
+                    skipWhitespace();
+                    if (text.charAt(i) === end) {
+                        i++;
+                        return;
+                    }
+                    if (text.charAt(i) !== ",") fail();
+                    i++;
                 }
-            });
+            }
+            if (c === "\"") return scanString();
+            if (c === "t") return scanLiteral("true");
+            if (c === "f") return scanLiteral("false");
+            if (c === "n") return scanLiteral("null");
+            scanNumber();
         }
 
-        /*!
-         * createColumnHeader
-         * Returns a new `<th>` for the specified field definition which will be
-         * inserted in the table as a column header.
-         *
-         * @name createColumnHeader
-         * @function
-         * @param {Object} def The field definition for which to generate the
-         * column header.
-         * @param {Object} arrayFieldDefinition The field definition of the
-         * array in whose table representation the column header should be
-         * created.
-         * @return {jQuery} The column header which is a `<th>` element.
-         */
-        function createColumnHeader(def, arrayFieldDefinition) {
-            // The new column should not have the attribute
-            // `data-json-editor-name` set in the column header when it is the
-            // only column in the table, so we clone the field definition object
-            // (`def`) and remove the `name` property from it. When this
-            // property is not defined on the `def` object, the generated `<th>`
-            // element will have the "data-json-editor-name" attribute set to an
-            // empty string.
-            if (hasEmptySchema(arrayFieldDefinition)) {
-                def = $.extend(true, {}, def);
-                delete def.name;
-            }
+        try {
+            scanValue();
+            skipWhitespace();
+            if (i < text.length) fail();
+        } catch (e) {
+            // The errors other than the thrown offsets (for example too deep
+            // nesting) are at the end of the text.
+            if (typeof e === "number") return e;
+        }
+        return text.length;
+    }
 
-            var $th = $("<th>", {
-                text: def.label || settings.defaultArrayFieldLabel,
-                "data-json-editor-name": def.name || ""
-            });
-            if (def.deletable) {
-                $th.append(createDeleteFieldButton());
+    /*!
+     * getJsonErrorPosition
+     * Returns the position of the first syntax error in a JSON text (see
+     * `getJsonErrorOffset`).
+     *
+     * @name getJsonErrorPosition
+     * @function
+     * @param {String} text The JSON text.
+     * @return {Object} An object containing the `offset`, the `line` and the
+     * `column` (the last two are 1-based).
+     */
+    function getJsonErrorPosition(text) {
+        var offset = getJsonErrorOffset(text),
+            lines = text.substring(0, offset).split("\n");
+
+        return {
+            offset: offset,
+            line: lines.length,
+            column: lines[lines.length - 1].length + 1
+        };
+    }
+
+    /*!
+     * createPatch
+     * Creates the JSON Patch (RFC 6902) operations which transform the `from`
+     * value in the `to` value. Objects are compared property by property and
+     * arrays item by item, the items added at the end of an array are added
+     * and the items missing at the end are removed.
+     *
+     * @name createPatch
+     * @function
+     * @param {Anything} from The initial value.
+     * @param {Anything} to The final value.
+     * @param {String} pointer The JSON Pointer of the compared values.
+     * @param {Array} ops The array to which the operations are appended.
+     * @return {Array} The `ops` array.
+     */
+    function createPatch(from, to, pointer, ops) {
+        var type = getTypeOf(from), token;
+
+        if (type !== getTypeOf(to) ||
+                (type !== "object" && type !== "array")) {
+            if (!valuesAreEqual(from, to)) {
+                ops.push({
+                    op: "replace",
+                    path: pointer,
+                    value: cloneValue(to)
+                });
             }
-            return $th;
+            return ops;
         }
 
-        /*!
-         * inheritField
-         * A function that inherits a few properties from the parent field (of
-         * type "object", and in the future maybe also "array") into the child
-         * field.
-         *
-         * @name inheritField
-         * @function
-         * @param {Object} targetDef The child field definition that will
-         * receive some properties from the parent field definition.
-         * @param {Object} sourceDef The parent field definition from which some
-         * properties will be inherited.
-         * @return {undefined}
-         */
-        function inheritField(targetDef, sourceDef) {
-            /*!
-             * A small function that returns the second argument if the first
-             * argument is undefined, else it returns the first argument.
-             */
-            function f(a, b) {
-                if (typeof a === "undefined") {
-                    return b;
-                }
-                return a;
+        if (type === "array") {
+            for (var i = 0; i < Math.min(from.length, to.length); i++) {
+                createPatch(from[i], to[i], pointer + "/" + i, ops);
+            }
+            for (i = from.length - 1; i >= to.length; i--) {
+                ops.push({
+                    op: "remove",
+                    path: pointer + "/" + i
+                });
+            }
+            for (i = from.length; i < to.length; i++) {
+                ops.push({
+                    op: "add",
+                    path: pointer + "/" + i,
+                    value: cloneValue(to[i])
+                });
             }
+            return ops;
+        }
 
-            // If the type of the target (child) field is not elementary (is
-            // either "object" or "array")
-            if (targetDef.type === "object" || targetDef.type === "array") {
-                // If the parent object `sourceDef` of the field `targetDef` of
-                // type "object" or "array" has the `deletableFields` flag set,
-                // mark the field as `deletableFields`, only if `targetDef` does
-                // not already contain the `deletableFields` property. The same
-                // goes for the `editableFields` and `addField` properties.
-                targetDef.deletableFields =
-                    f(targetDef.deletableFields, sourceDef.deletableFields);
-                targetDef.editableFields =
-                    f(targetDef.editableFields, sourceDef.editableFields);
-                targetDef.addField = f(targetDef.addField,
-                        sourceDef.addField);
+        for (var k in from) {
+            if (!from.hasOwnProperty(k)) continue;
+            token = pointer + "/" + k.replace(/~/g, "~0").replace(/\//g, "~1");
+            if (!to.hasOwnProperty(k)) {
+                ops.push({
+                    op: "remove",
+                    path: token
+                });
+            } else {
+                createPatch(from[k], to[k], token, ops);
             }
-            // If the parent object `sourceDef` of the field `targetDef` has the
-            // `deletableFields` flag set, mark the field as `deletable`, only
-            // if `targetDef` does not already contain the `deletable` property.
-            // The same goes for `editableFields` and `editable`.
-            targetDef.deletable = f(targetDef.deletable,
-                    sourceDef.deletableFields);
-            targetDef.editable = f(targetDef.editable,
-                    sourceDef.editableFields);
         }
+        for (k in to) {
+            if (!to.hasOwnProperty(k) || from.hasOwnProperty(k)) continue;
+            ops.push({
+                op: "add",
+                path: pointer + "/" +
+                    k.replace(/~/g, "~0").replace(/\//g, "~1"),
+                value: cloneValue(to[k])
+            });
+        }
+        return ops;
+    }
 
-        /*!
-         * updateAndRenameFieldData
-         * Updates the data of all the fields in the JSON editor which is stored
-         * in the `settings.data` variable and is used to fill the edited field
-         * after changing its name. It also renames the field data in the
-         * `settings.data` variable if the new name is different than the old
-         * name so that the new input group created with the call below to the
-         * `createGroup` method in the calling function (which is the click
-         * handler of the "Add/Save field" button in the `createNewFieldEditor`
-         * function) will display the correct data. This function needs to stay
-         * in the scope of the `settings.data` variable and in the scope of the
-         * `renameValueAtPath` function to work without errors.
-         *
-         * @name updateAndRenameFieldData
-         * @function
-         * @param {String} oldPath The path to the field before its name was
-         * edited in the current field editor.
-         * @param {String} newName The new name of the field, the one inserted
-         * by the end user in the current field editor before pressing the Save
-         * button. It can be the same as the old name and in this case this
-         * function only updates the data without renaming any field data in the
-         * `settings.data` object.
-         * @return {undefined}
-         */
-        function updateAndRenameFieldData(oldPath, newName) {
+    /*!
+     * applyPatchOperation
+     * Applies a JSON Patch (RFC 6902) operation to a document. The "-" array
+     * index is replaced in the returned paths with the index of the added
+     * item.
+     *
+     * @name applyPatchOperation
+     * @function
+     * @param {Anything} doc The document, which is modified in place when it
+     * is an object or an array.
+     * @param {Object} operation The operation, an object containing the `op`,
+     * the `path` and, depending on the operation, the `value` or the `from`
+     * properties.
+     * @return {Object} An object containing the new `doc`, the field paths
+     * in dot notation of the changed location (`path`) and of the source
+     * location of the "move" and "copy" operations (`from`) and the `value`
+     * at the changed location.
+     */
+    function applyPatchOperation(doc, operation) {
+        var path, from, fromPath, value;
 
-            var oldName = self.getNameFromPath(oldPath);
-            // Update the default data used for the edited field's new input
-            // group (which is the DOM representation of the field) and also
-            // updates the default data for all the remaining fields in the JSON
-            // editor, taking the data from the way in which the input groups
-            // are currently filled in the UI by the end user or by the initial
-            // data offered to the JSON editor constructor.
-            settings.data = self.getData(null, null,
-                    null, true);
-            // If the name (so also the path) of the field has been changed
-            if (newName !== oldName) {
-                // Then replace in the `settings.data` variable the old field
-                // name with the new field name.
-                renameValueAtPath(oldPath, newName);
-            }
+        function fail(message) {
+            throw new Error("JSON Patch operation " +
+                    JSON.stringify(operation) + " failed: " + message);
         }
 
-        /*!
-         * saveObjectOrArrayInObject
-         * Saves a new or edited object or array inside an object.
-         *
-         * @name saveObjectOrArrayInObject
-         * @function
-         * @param {Object} options An object containing the following
-         * properties:
-         *
-         * - `parentSchema` (Object): The schema of the parent field. The parent
-         *   field is expected by this function to be a field of type "object".
-         * - `orderProperty` (String): Contains the name of the property in the
-         *   field schemas which contains the array with the names of the fields
-         *   inside the schema in the order in which they should appear in the
-         *   user interface.
-         * - `newField` (Boolean): Whether the saved field is newly created (in
-         *   this case it has the value `true`) or edited (in this case it has
-         *   the value `false`).
-         * - `$editedInput` (jQuery): Optional, relevant only when the
-         *   `newField` option is set to `false`. It is the jQuery element
-         *   representing the input group that is being edited.
-         * - `newFieldDef` (Object): The JavaScript object representing the
-         *   definition of the saved field (which can be new or edited).
-         * - `$fieldEditorForm` (jQuery): The jQuery element representing the
-         *   form (which currently is always a `<div>`) used for creating or
-         *   editing the saved field (which is only of type "object" or "array"
-         *   in this function). This is used to position the saved field user
-         *   interface before the field editor.
-         * - `latestName` (String): The latest name of the saved field. It can
-         *   be the same as the old name if it was not changed in the field
-         *   editor.
-         * - `parentPath` (String): The field path of the parent field in which
-         *   the new field of type "object" or "array" should be added.
-         * - `parentElement` (jQuery): The element representing the parent field
-         *   in which the new field of type "object" or "array" should be added.
-         *
-         * @return {undefined}
-         */
-        function saveObjectOrArrayInObject(options) {
-            var order = options.parentSchema[options.orderProperty];
-            // If a new field of type "object" or "array" is created inside an
-            // object (which means a field of type "object") and the parent
-            // object has 0, 1 or more subfields
-            if (options.newField) {
-                // A new field of type "object" or "array" is added to an object
-                // so add the name of the new field to the order array in the
-                // parent schema
-                order.push(options.latestName);
-                // Insert the new field definition in the `settings.schema`
-                // variable
-                options.parentSchema[options.latestName] = options.newFieldDef;
-            // Else if a field of type "object", "array" or of other type is
-            // edited inside an object (which means a field of type "object") to
-            // become a field of type "object" or "array" and the parent object
-            // has 0, 1 or more subfields (if it already is of type "object" or
-            // "array" the user through the field editor could have also changed
-            // its name, so also its path, or its label)
-            } else {
-                // A field of type "object", "array" or other type is edited to
-                // become a field of type "object" or "array".  The field is
-                // inside an object.
-                var _path = options.$editedInput.attr("data-json-editor-path");
-                var oldName = self.getNameFromPath(_path);
+        // Returns the parent of the given location and checks that the
+        // location can be changed.
+        function getParent(tokens, adding) {
+            var parent = doc, last = tokens[tokens.length - 1];
 
-                // If the old field definition had a schema (this is true if the
-                // old field definition was of type "object" or "array", so not
-                // of an elementary type)
-                if (typeof options.parentSchema[oldName].schema === "object") {
-                    // Keep the schema of the old field definition (the fields
-                    // in the object or in the array, depending on the type of
-                    // the field) in the new field definition, because even if
-                    // the type of the field was the same before the Save
-                    // operation ("object" or "array"), the Save operation just
-                    // updated the name, path or the label of the field and the
-                    // subfields, without talking about their paths, stay the
-                    // same
-                    options.newFieldDef.schema = options.parentSchema[oldName].
-                        schema;
+            for (var i = 0; i < tokens.length - 1; i++) {
+                if ((getTypeOf(parent) !== "object" &&
+                        getTypeOf(parent) !== "array") ||
+                        !parent.hasOwnProperty(tokens[i])) {
+                    fail("the path does not exist");
                 }
+                parent = parent[tokens[i]];
+            }
 
-                // Also change the paths of the descendant field definitions.
-                // For example if `_path` is "first.second" (`oldName` is
-                // "second") and `name` is "third", the new path of the field
-                // will be "first.third" and lets say that the schema of this
-                // field contains a string field with path "first.second.test".
-                // After changing the path from "first.second" to "first.third",
-                // this string field should also change its path from
-                // "first.second.test" to "first.third.test".
-                updateDescendantDefPaths(options.newFieldDef);
+            if (getTypeOf(parent) === "array") {
+                if (adding && last === "-") {
+                    tokens[tokens.length - 1] = String(parent.length);
+                } else if (!/^(0|[1-9]\d*)$/.test(last) ||
+                        +last > parent.length ||
+                        (!adding && +last === parent.length)) {
+                    fail("invalid array index");
+                }
+            } else if (getTypeOf(parent) !== "object" ||
+                    (!adding && !parent.hasOwnProperty(last))) {
+                fail("the path does not exist");
+            }
+            return parent;
+        }
 
-                // Insert the new field definition in the `settings.schema`
-                // variable, indirectly through the `options.parentSchema`
-                // variable which points to an object that is inside
-                // `settings.schema`.
-                options.parentSchema[options.latestName] = options.newFieldDef;
+        // Returns the field path of the given location, in which the object
+        // keys are escaped (see `encodeKey`) and the array indices are not.
+        function toPath(tokens) {
+            var current = doc, parts = [];
 
-                // If the name (so also the path) of the field has been changed,
-                // replace the old name with the new name in the order array and
-                // delete the old field definition with the old name from the
-                // parent schema.
-                if (options.latestName !== oldName) {
-                    order[order.indexOf(oldName)] = options.latestName;
-                    delete options.parentSchema[oldName];
-                }
+            for (var i = 0; i < tokens.length; i++) {
+                parts.push($.isArray(current) ? tokens[i] :
+                        encodeKey(tokens[i]));
+                current = Object(current)[tokens[i]];
+            }
+            return parts.join(".");
+        }
 
-                updateAndRenameFieldData(_path, options.latestName);
+        function get(tokens) {
+            if (tokens.length === 0) {
+                return doc;
             }
+            return getParent(tokens, false)[tokens[tokens.length - 1]];
+        }
 
-            // If the new field's path is inside a table column of type "object"
-            if (fieldPathIsTableColumn(options.parentPath)) {
-                // Create and show the UI for the field definition in each of
-                // the rows under that column
-                createUIOfSubfieldInObjectColumn(options.parentElement, options.
-                        newFieldDef);
+        function remove(tokens) {
+            var parent, last;
+
+            if (tokens.length === 0) {
+                fail("the document cannot be removed");
+            }
+            parent = getParent(tokens, false);
+            last = tokens[tokens.length - 1];
+            if (getTypeOf(parent) === "array") {
+                parent.splice(+last, 1);
             } else {
-                // Create and show the UI for the field definition and add it
-                // before the field editor.
-                options.$fieldEditorForm.before(self.createGroup(options.
-                            newFieldDef));
+                delete parent[last];
             }
         }
 
-        /*!
-         * createNewCellEditor
-         * Creates a new cell editor (a field editor inside a table cell) to be
-         * used in a newly created column.  This function is currently used just
-         * indirectly through the `addNewColumn` function to add cells to a new
-         * column in a table.
-         *
-         * @name createNewCellEditor
-         * @function
-         * @param {Object} options An object containing the following
-         * properties:
-         *
-         * - `arrayFieldDef` (Object): The field definition object of the field
-         *   of type "array" in which a new column is added and filled with cell
-         *   editors created with this function.
-         * - `indexString` (String): The string added at the end of the field
-         *   path of the table (after the final "." which indicates an
-         *   unfinished field path but is not a part of the path of the table)
-         *   to make the path of each of the table rows. For example, this
-         *   string is currently either an integer converted to a string or the
-         *   "+" string. When it is the "+" string it indicates that a cell
-         *   editor is created to be used in the table footer. For example, the
-         *   path of a cell editor could look like these: "hobbies.0",
-         *   "hobbies.1.name" or "hobbies.+.name".
-         * - `newFieldDef` (Object): The field definition object of the newly
-         *   created column (a column is a field inside an array), from whose
-         *   model the cell editor will be created.
-         *
-         * @return {jQuery} The newly created field editor inside a table cell
-         * (<td>).
-         */
-        function createNewCellEditor(options) {
-            var path, sch;
+        function add(tokens, val) {
+            var parent, last;
 
-            // Compute the path of the cell editor (or field editor inside a
-            // cell) created by this function
-            path = (options.arrayFieldDef.path.length > 0 ?
-                    options.arrayFieldDef.path + "." : "") +
-                options.indexString;
-            // From the 3 possibilities: no field, one field or many (2 or more)
-            // fields in the schema of the array before the addition of the new
-            // column, the name should be added to the path only when the schema
-            // already contains one or more fields. When it does not contain any
-            // fields, the new field will be alone and its data will be accessed
-            // directly from the only input in that row.
-            if (!hasEmptySchema(options.arrayFieldDef)) {
-                path += "." + options.newFieldDef.name;
+            if (tokens.length === 0) {
+                doc = val;
+                return;
+            }
+            parent = getParent(tokens, true);
+            last = tokens[tokens.length - 1];
+            if (getTypeOf(parent) === "array") {
+                parent.splice(+last, 0, val);
+            } else {
+                parent[last] = val;
             }
+        }
 
-            // Clone the field definition of the column and set the path of the
-            // clone to the path of the newly created cell editor
-            sch = $.extend(true, {}, options.newFieldDef, {
-                path: path
-            });
+        path = parsePointer(operation.path);
+        switch (operation.op) {
+            case "add":
+            case "replace":
+                if (!operation.hasOwnProperty("value")) {
+                    fail("the value is missing");
+                }
+                value = cloneValue(operation.value);
+                if (operation.op === "add") {
+                    add(path, value);
+                } else if (path.length === 0) {
+                    doc = value;
+                } else {
+                    getParent(path, false)[path[path.length - 1]] = value;
+                }
+                break;
+            case "remove":
+                remove(path);
+                break;
+            case "move":
+            case "copy":
+                from = parsePointer(operation.from);
+                if (operation.op === "move" &&
+                        (operation.path + "/").indexOf(operation.from + "/") ===
+                        0 && operation.path !== operation.from) {
+                    fail("a value cannot be moved in one of its children");
+                }
+                value = cloneValue(get(from));
+                fromPath = toPath(from);
+                if (operation.op === "move") {
+                    remove(from);
+                }
+                add(path, value);
+                break;
+            case "test":
+                if (!valuesAreEqual(get(path), operation.value)) {
+                    fail("the value is different");
+                }
+                value = get(path);
+                break;
+            default:
+                fail("unknown operation");
+        }
 
-            // Cell editors should be field editors without labels, not
-            // deletable or editable
-            delete sch.label;
-            delete sch.deletable;
-            delete sch.editable;
+        return {
+            doc: doc,
+            path: toPath(path),
+            from: fromPath,
+            value: value
+        };
+    }
 
-            // Create the input group for the cell editor and insert it in a
-            // table cell, then return the table cell
-            return $("<td>").append(self.createGroup(sch));
+    /*!
+     * copyTemplates
+     * Returns a new object containing the templates (UI elements or converter
+     * functions) from `defaults`, overridden by the ones in `overrides`. The
+     * jQuery objects are cloned, so changing the templates of an editor
+     * instance does not change the defaults or the templates of the other
+     * instances.
+     *
+     * @name copyTemplates
+     * @function
+     * @param {Object} defaults The default templates, for example
+     * `JsonEdit.inputs`.
+     * @param {Object} overrides Optional, the templates given in the options.
+     * @return {Object} The templates of the editor instance.
+     */
+    function copyTemplates(defaults, overrides) {
+        var copy = $.extend({}, defaults, overrides);
+
+        for (var k in copy) {
+            if (copy.hasOwnProperty(k) && copy[k] instanceof $) {
+                copy[k] = copy[k].clone(true);
+            }
+        }
+        return copy;
+    }
+
+    /**
+     * $.fn.jsonEdit
+     * Initializes the JSON editor on selected elements.
+     *
+     * @name $.fn.jsonEdit
+     * @function
+     * @param {Object} opt_options An object containing the following fields:
+     *
+     *  - `data` (Object): The input JSON data (default: `{}`).
+     *  - `schema` (Object): The JSON data schema. The provided object will be
+     *  merged with default schema, which is the one obtained by processing the
+     *  `data`. It can also be a standard JSON Schema document (draft-07 or
+     *  2020-12) describing an object (see the schema description below).
+     *  - `autoInit` (Boolean): If `true`, the forms will be added by default
+     *  (default: `true`).
+     *  - `defaultArrayFieldName` (String): The name that a single field in an
+     *  array will take when adding a second field to the array. The default is
+     *  "values".
+     *  - `defaultArrayFieldLabel` (String): The label that a single field in an
+     *  array will take. The default is "Values".
+     *  - `orderProperty` (String): Contains the name of the property in the
+     *  schemas which contains the order in which the fields from the schemas
+     *  should be laid down in the user interface. Default value: "_order".
+     *  - `validators` (Object): Custom validators. The keys are field paths
+     *  or JSON Pointers (with or without the array indices, for example
+     *  "keyboards.0.name", "/keyboards/0/name" or "keyboards.name") or field
+     *  types (for example "string", the validators of the type "number" also
+     *  validate the integers) and the values are functions or arrays of
+     *  functions. A validator is called with the value of the field, the data
+     *  of the entire form (see `getData`) and the field definition, and
+     *  returns nothing or `true` if the value is valid, `false`, an error
+     *  message or an array of error messages otherwise. It can also return a
+     *  promise of such a result.
+     *  - `liveValidation` (Boolean): If `true`, the inputs are validated
+     *  while the user types in them (default: `true`).
+     *  - `validationDelay` (Number): The number of milliseconds after the
+     *  last change of an input after which it is validated (default: 300).
+     *  - `historyLimit` (Number): The maximum number of changes which can be
+     *  undone (default: 100).
+     *  - `rawModeToggle` (Boolean): If `true`, a button which switches between
+     *  the form and the raw JSON mode (see `setRawMode`) is added at the top
+     *  of the container (default: `false`).
+     *  - `mode` (String): The rendering mode: "form" (default) or "tree". In
+     *  the tree mode the fields of type "object" and "array" are shown as
+     *  nodes which can be expanded and collapsed by clicking their headers,
+     *  with the number of fields or items next to their labels. The fields
+     *  at the first level are initially expanded, the others collapsed, and
+     *  the state of each node is kept when the form is rebuilt. The same
+     *  state is kept in the form mode for the collapsed groups.
+     *  - `preserveUnknown` (Boolean): If `true`, the data returned by
+     *  `getData` also contains the parts of `data` which are not shown in
+     *  the form (the keys missing in the schema), and the values which were
+     *  not changed in the form keep their original value even if the form
+     *  converted them (for example a string in a field of type "number"),
+     *  so that a subset of a large document can be edited safely. The items
+     *  of the arrays keep their unknown data when other items are added or
+     *  deleted, the new items have none (default: `false`).
+     *  - `onMessage` (Function): Called with the level ("error", "warning"
+     *  or "info"), the code (see `messages`), the text and the path of the
+     *  concerned field of the messages shown in the form, for example the
+     *  errors of the field editors, which are shown next to the name input
+     *  (in an element with the `json-editor-message` and
+     *  `json-editor-message-error` CSS classes), so that the host
+     *  application can also show them in its own notifications (default:
+     *  `null`).
+     *  - `inferTemporalTypes` (Boolean): If `true`, the types of the
+     *  strings of `data` in the ISO 8601 formats are inferred as "date",
+     *  "datetime", "time" and "duration", and the strings of the fields of
+     *  type "date" and "datetime" become dates (default: `false`). The
+     *  whole numbers are always inferred as "integer", the fields with
+     *  whole and fractional numbers as "number". Likewise the dates are
+     *  inferred as "date" if they are at midnight UTC and as "datetime"
+     *  otherwise, the fields with both kinds of dates as "datetime".
+     *  - `serialize` (Boolean|Object): If set, the values of `data` are
+     *  decoded with the serializers of the types of their fields, and the
+     *  values not described by the schema with the serializers which detect
+     *  them (by default the ISO 8601 date strings), so that the JSON text
+     *  returned by `getJSON` keeps the dates and the regular expressions.
+     *  The serializers, by field type, are objects containing the `encode`
+     *  (value and field definition, if any, to JSON value), `decode` (JSON
+     *  value and field definition, if any, to value) and optional `detect`
+     *  (returning `true` for the JSON values of the type) functions. An
+     *  object overrides the default serializers (dates as ISO 8601 strings,
+     *  "2015-10-22" for the fields of type "date", regular expressions as
+     *  "/pattern/flags" strings) only in this editor, for example with tagged
+     *  objects like `{"$date": "..."}` (default: `false`).
+     *  - `labels`, `groups`, `inputs` (Object): jQuery elements, by field
+     *  type, used as templates for the labels, the input groups and the
+     *  inputs of the fields. They override the defaults (see
+     *  `$.fn.jsonEdit.setDefaults`) only in this editor.
+     *  - `converters` (Object): Functions, by field type, converting the
+     *  values of the inputs to the values of the fields. They override the
+     *  defaults only in this editor.
+     *  - `messages` (Object): An object containing one or more of the following
+     *  properties: `EDIT_FIELD_IN_ARRAY_WITHOUT_FIELDS` (default value:
+     *  "Impossible situation: trying to edit a field in an array without
+     *  fields."), `INVALID_FIELD_NAME` (default value: "The name of the field
+     *  should be a non-empty string not already existing under the path
+     *  "{0}".") (which can contain the string `{0}` that will be replaced
+     *  with the JSON Pointer of the object in which the edited/added field is
+     *  found), and the validation messages `REQUIRED`, `MINIMUM`, `MAXIMUM`,
+     *  `MIN_LENGTH`, `MAX_LENGTH`, `PATTERN`, `MIN_ITEMS`, `MAX_ITEMS` and
+     *  `UNIQUE_ITEMS` (which can contain the string `{0}` that will be replaced
+     *  with the value of the broken constraint), `INTEGER` (used for the
+     *  fractional values of the fields of type "integer"), `INVALID` (used when
+     *  a custom validator returns `false` and for the invalid dates, times,
+     *  durations and regular expressions), `INVALID_JSON` (shown in the raw
+     *  JSON mode, `{0}`, `{1}` and `{2}` are replaced with the line, the column
+     *  and the error of `JSON.parse`) and `INVALID_JSON_ROOT` (shown in the raw
+     *  JSON mode when the JSON value is not an object). These properties are
+     *  strings that should be translated in the language of the user. By
+     *  default they contain the English version of the messages.
+     *
+     * @return {Object} The JSON editor object containing:
+     *
+     *  - `labels` (Object): An object with UI elements used for labels.
+     *  - `groups` (Object): An object with UI elements used for groups.
+     *  - `inputs` (Object): An object with UI elements used for inputs.
+     *  - `container` (jQuery): A jQuery object being the container of the JSON
+     *  editor.
+     *  - `createGroup` (Function): Creates a form group.
+     *
+     * The editor is stored on the container and can be retrieved with
+     * `$(container).data("jsonEdit")`. Calling `.jsonEdit()` again on the
+     * same container destroys the previous editor (see `destroy`) before
+     * creating the new one.
+     *
+     * The schema of the items of an array is obtained from all the items: the
+     * fields missing in some objects are optional, the fields which are
+     * sometimes null are nullable and the fields with values of different types
+     * have the type "any", edited as JSON text (see `getInferenceConflicts`).
+     * If these types are elementary, they are listed in the `types` array of
+     * the field definition, and each value is edited with the input of its
+     * type, next to a <select> which changes the type. The items of arrays of
+     * arrays (for example matrices) are edited in nested tables.
+     *
+     * The standard JSON Schema documents are converted to the format of the
+     * JSON editor (`properties`, `items`, `enum`, `required`, `title`,
+     * `description`, `default`, local `$ref`s and the validation keywords are
+     * supported). The fields with a list of types containing "null" are
+     * nullable and the strings with the formats "date", "date-time", "time" and
+     * "duration" have the types "date", "datetime", "time" and "duration".
+     *
+     * The field definitions can contain the following properties:
+     *
+     *  - `required`, `minimum`, `maximum`, `minLength`, `maxLength`, `pattern`,
+     *  `minItems`, `maxItems` and `uniqueItems`: The validation constraints
+     *  (see the `validate` method).
+     *  - `collapsed` (Boolean): If `true`, the group of a field of type
+     *  "object" or "array" is initially collapsed. The groups can be collapsed
+     *  and expanded by clicking their labels.
+     *  - `widget` (String): The widget which renders the input: "textarea"
+     *  (with `rows` lines), "range" (with `minimum`, `maximum` and `step`),
+     *  "color" or one registered with `$.fn.jsonEdit.registerWidget`.
+     *  - `nullable` (Boolean): If `true`, the field has a "null" checkbox which
+     *  sets it to `null` (its input group then receives the `json-editor-null`
+     *  CSS class).
+     *  - `optional` (Boolean): If `true` (and `required` is not `true`), the
+     *  field has an include checkbox: the excluded fields are omitted from the
+     *  data returned by `getData`, and the ones missing in `data` are initially
+     *  excluded (their input groups receive the `json-editor-excluded` CSS
+     *  class).
+     *  - `timezone` (String): The timezone in which the values of the fields of
+     *  type "date" and "datetime" are shown: "utc" (default) or "local".
+     *
+     * The null values have the type "null". The values of the fields of type
+     * "date" (edited without the time) and "datetime" are dates, and the values
+     * of the fields of type "time" and "duration" are ISO 8601 strings like
+     * "10:30:00" and "P1DT2H30M". The fields of type "integer" have inputs with
+     * `step="1"` limited by the `minimum` and `maximum` constraints, their
+     * empty inputs have the value `null` (like the ones of the numbers) and
+     * their fractional values are rejected by the validation.
+     *
+     * The following jQuery events are triggered on the container when the data
+     * or the fields are changed by the user: `jsonedit:change` (a value was
+     * edited), `jsonedit:rowadd`, `jsonedit:rowdelete` (an array item was added
+     * or deleted), `jsonedit:fieldadd`, `jsonedit:fieldrename` and
+     * `jsonedit:fielddelete` (a field was added, renamed or deleted). The
+     * handlers receive, after the jQuery event object, an object containing the
+     * `path` of the changed field or item, the `oldValue` and the `newValue`.
+     * The `jsonedit:fieldrename` event also contains the `oldPath`, and when an
+     * object key is renamed its `oldValue` and its `newValue` are the same
+     * value. The path of a table column has no array index and the `newValue`
+     * of a new column is its value in each row. The columns of type "array"
+     * cannot be added to the tables and the column headers cannot be edited, so
+     * no events are triggered for them. After the `undo` and `redo` methods are
+     * called, the `jsonedit:undo` and `jsonedit:redo` events are triggered, and
+     * after the `applyPatch` method is called, the `jsonedit:patch` event,
+     * which also contains the applied `ops`, is triggered. The `reset` method
+     * called without a path triggers the `jsonedit:reset` event and the changes
+     * made in the raw JSON mode trigger the `jsonedit:rawedit` event. The
+     * objects passed to the handlers also contain the `pointer` (and the
+     * `oldPointer`), the JSON Pointer of the changed field or item.
+     *
+     * The field paths are in dot notation, for example "keyboards.0.name".
+     * The object keys containing dots and other special characters are
+     * escaped in the paths (see `pointerToPath`). All the methods which take
+     * field paths also accept JSON Pointers (RFC 6901), for example
+     * "/keyboards/0/name".
+     */
+    var JsonEdit = $.fn.jsonEdit = function (opt_options) {
+
+        var settings, self, messages, validationTimers = {},
+            validationTokens = {}, history = {
+                undo: [],
+                redo: [],
+                current: null
+            }, originalData, originalSchema, $raw = null, expandedNodes = {},
+            unknownBase = null, detachedFields = {};
+
+        // Default messages
+        messages = {
+            EDIT_FIELD_IN_ARRAY_WITHOUT_FIELDS: "Impossible situation: " +
+                "trying to edit a field in an array without fields.",
+            INVALID_FIELD_NAME: "The name of the field should be a " +
+                "non-empty string not already existing under the path " +
+                "\"{0}\".",
+            REQUIRED: "This field is required.",
+            MINIMUM: "The value should be greater than or equal to {0}.",
+            MAXIMUM: "The value should be less than or equal to {0}.",
+            MIN_LENGTH: "The value should have at least {0} characters.",
+            MAX_LENGTH: "The value should have at most {0} characters.",
+            PATTERN: "The value should match the pattern {0}.",
+            MIN_ITEMS: "There should be at least {0} items.",
+            MAX_ITEMS: "There should be at most {0} items.",
+            UNIQUE_ITEMS: "The items should be unique.",
+            INTEGER: "The value should be an integer.",
+            INVALID: "The value is invalid.",
+            INVALID_JSON: "The JSON is invalid at line {0}, column {1}: {2}",
+            INVALID_JSON_ROOT: "The JSON should be an object."
+        };
+
+        // Default settings
+        settings = $.extend({
+            data: {},
+            schema: {},
+            autoInit: true,
+            defaultArrayFieldName: "values",
+            defaultArrayFieldLabel: "Values",
+            orderProperty: "_order",
+            validators: {},
+            liveValidation: true,
+            validationDelay: 300,
+            historyLimit: 100,
+            rawModeToggle: false,
+            mode: "form",
+            preserveUnknown: false,
+            serialize: false,
+            inferTemporalTypes: false,
+            onMessage: null
+        }, opt_options);
+
+        // The messages which are not given in the options keep their default
+        // value.
+        settings.messages = $.extend({}, messages, settings.messages);
+
+        // JSON Editor object
+        self = {
+
+            // UI
+            labels: copyTemplates(JsonEdit.labels, settings.labels),
+            groups: copyTemplates(JsonEdit.groups, settings.groups),
+            inputs: copyTemplates(JsonEdit.inputs, settings.inputs),
+            container: this,
+
+            // Data manipulation
+            converters: copyTemplates(JsonEdit.converters, settings.converters),
+            serializers: copyTemplates(JsonEdit.serializers,
+                    getTypeOf(settings.serialize) === "object" ?
+                    settings.serialize : {})
+        };
+
+        // Calling `.jsonEdit()` again on the same container replaces the
+        // editor created before.
+        if (self.container.data("jsonEdit")) {
+            self.container.data("jsonEdit").destroy();
         }
 
         /*!
-         * addNewColumn
-         * Creates and shows the UI for the new column in the table. First adds
-         * a table column header then adds empty inputs under it.
+         * schemaCoreProperties
+         * Sets the core properties in a field definition schema if they are not
+         * set: `type` on fields with possible values that don't have it set,
+         * `schema` and the value of `settings.orderProperty` inside `schema` on
+         * fields of type "object" and "array", and on definitions of fields of
+         * elementary type: `name`, `path` and `label`.
          *
-         * @name addNewColumn
+         * @name schemaCoreProperties
          * @function
-         * @param {Object} options An object containing the following
-         * properties:
-         *
-         * - `$table` (jQuery): The table element in which to add the new
-         *   column.
-         * - `newFieldDef` (Object): The field definition of the new column.
-         * - `arrayFieldDef` (Object): The field definition of the table (array)
-         *   in which the new column is added.
-         *
+         * @param {Object} schema The current field schema object.
+         * @param {String} path The path to the field value.
          * @return {undefined}
          */
-        function addNewColumn(options) {
-            // We must keep the code below compatible with the possible nested
-            // tables
-            var $trs = options.$table.children("tbody").children("tr");
-            var $tds, $cellEditor, $tfootRow;
-            // First add the column header
-            options.$table.children("thead").children("tr:first")
-                .children("th:last").before(
-                        createColumnHeader(options.newFieldDef,
-                            options.arrayFieldDef));
-            // For each row in the table body
-            for (var i = 0; i < $trs.length; i++) {
-                var $tr = $trs.eq(i);
-                // Create a new cell editor
-                $cellEditor = createNewCellEditor({
-                    arrayFieldDef: options.arrayFieldDef,
-                    indexString: i.toString(),
-                    newFieldDef: options.newFieldDef
-                });
-                $tds = $tr.children("td");
-                // If there are cells in the row, put the cell editor before the
-                // last cell
-                if ($tds.length > 0) {
-                    $tds.eq(-1).before($cellEditor);
-                // Else append the cell editor to the row
-                } else {
-                    $tr.append($cellEditor);
+        function schemaCoreProperties(schema, path) {
+            path = path || "";
+            for (var fieldName in schema) {
+                var currentFieldDef, defCanContainMoreFields;
+
+                // A field schema contains properties whose names are the names
+                // of the fields in it and whose values are the field definition
+                // of these fields, and besides these, a property with the name
+                // stored in `settings.orderProperty` with the value being an
+                // array of 0 or more strings. This property is required in the
+                // schema resulted from the call to `schemaCoreProperties` but
+                // it is optional in the schema passed to it which is the schema
+                // given by the user. This `for` loop ignores the existing order
+                // arrays inside the schemas.
+                if (!schema.hasOwnProperty(fieldName) ||
+                        fieldName === settings.orderProperty) continue;
+
+                currentFieldDef = schema[fieldName];
+                defCanContainMoreFields =
+                    currentFieldDef.type === "object" ||
+                    currentFieldDef.type === "array";
+                // If the schema can contain more fields,
+                if (defCanContainMoreFields) {
+                    // recursively process them
+                    if (typeof Object(currentFieldDef.schema).type ===
+                            "string") {
+                        itemCoreProperties(currentFieldDef.schema, path +
+                                encodeKey(fieldName));
+                    } else {
+                        schemaCoreProperties(currentFieldDef.schema, path +
+                                encodeKey(fieldName) + ".");
+                    }
+
+                // If the type is not specified but a non-empty array of
+                // possible values is specified
+                } else if (!currentFieldDef.type && currentFieldDef.possible) {
+                    // set the type obtained by analyzing the first possible
+                    // value
+                    currentFieldDef.type = getTypeOf(
+                            currentFieldDef.possible[0]);
+                }
+                currentFieldDef.label = currentFieldDef.label || fieldName;
+                currentFieldDef.path = path + encodeKey(fieldName);
+                currentFieldDef.name = fieldName;
+
+                // If `currentFieldDef` can contain more fields and it does not
+                // contain a single field (if it contains a single field
+                // `schema[settings.orderProperty]` should not exist) and it
+                // does not have the order of its fields specified (in
+                // `schema[settings.orderProperty]`),
+                if (defCanContainMoreFields &&
+                        typeof Object(currentFieldDef.schema).type !== "string" &&
+                        !Array.isArray(Object(currentFieldDef.schema)
+                            [settings.orderProperty])) {
+                    // Generate an empty schema if there is no schema specified.
+                    currentFieldDef.schema = currentFieldDef.schema || {};
+                    // Generate the default order of the fields inside the
+                    // schema using `Object.keys`.
+                    currentFieldDef.schema[settings.orderProperty] =
+                        Object.keys(currentFieldDef.schema);
                 }
-            }
-            // Do the same for the table footer row.
-            $tfootRow = options.$table.children("tfoot").children("tr:first");
-            $tds = $tfootRow.children("td");
-            $cellEditor = createNewCellEditor({
-                arrayFieldDef: options.arrayFieldDef,
-                indexString: "+",
-                newFieldDef: options.newFieldDef
-            });
-            if ($tds.length > 0) {
-                $tds.eq(-1).before($cellEditor);
-            } else {
-                $tfootRow.append($cellEditor);
             }
         }
 
         /*!
-         * prepareOnlyColumnForNewColumn
-         * Prepares the global schema `settings.schema` by adding the new field
-         * definition `newFieldDef` to the schema of the `parentArrayFieldDef`
-         * which currently contains a single field (column) and after this, it
-         * prepares the table UI (the header, body and the footer of the table)
-         * for adding a new column after the current single column in the
-         * `$table` table (a table is the UI for an array) by changing some HTML
-         * attributes ("data-json-editor-type", "data-json-editor-path" and
-         * "data-json-editor-name") and by removing the controls from the single
-         * column in the table (which are the "Add item" and "Delete item"
-         * buttons).
+         * itemCoreProperties
+         * Sets the core properties in the definition of the items of an array
+         * with a single column (see `schemaCoreProperties`) when the items
+         * are arrays or objects, for example in arrays of arrays. The fields
+         * in these items have the path of the array followed by their names,
+         * without array indices.
          *
-         * @name prepareOnlyColumnForNewColumn
+         * @name itemCoreProperties
          * @function
-         * @param {Object} options An object containing the following
-         * properties:
-         *
-         * - `parentArrayFieldDef` (Object): The definition of the parent field
-         *   of type "array" representing the table in which the only column
-         *   should be prepared for the addition of a new column which is
-         *   defined by the `newFieldDef` property of this object. The UI for
-         *   this field definition is `$table`.
-         * - `defaultArrayFieldName` (String): The default name the single old
-         *   field (or column) in the table should get before adding a new
-         *   column which must have a name set, unlike the old single field in
-         *   the table (in the array).
-         * - `defaultArrayFieldLabel` (String): The label the old single column
-         *   will get just before the new column is added.
-         * - `$table` (jQuery): The jQuery element representing the table in
-         *   which this function should prepare the addition of a new column
-         *   after an already existing single column.
-         * - `newFieldDef` (Object): The definition of the field representing
-         *   the newly created column that should be inserted in the schema of
-         *   the parent array field definition which is `parentArrayFieldDef`.
-         * - `orderProperty` (String): Contains the name of the property in the
-         *   field schemas which contains the array with the names of the fields
-         *   inside the schema in the order in which they should appear in the
-         *   user interface.
-         *
+         * @param {Object} def The definition of the items.
+         * @param {String} path The path of the array.
          * @return {undefined}
          */
-        function prepareOnlyColumnForNewColumn(options) {
-            var $tfootRow, $tfootInput, sch = options.parentArrayFieldDef.
-                schema;
+        function itemCoreProperties(def, path) {
+            if (def.type !== "array" && def.type !== "object") return;
 
-            // Move the old single field inside a larger schema which also
-            // contains the newly created field.
-            var nameOfTheSingleOldField = sch.name || options.
-                defaultArrayFieldName;
-            options.parentArrayFieldDef.schema = {};
-            options.parentArrayFieldDef.schema[options.orderProperty] =
-                [nameOfTheSingleOldField, options.newFieldDef.name];
-            options.parentArrayFieldDef.schema[nameOfTheSingleOldField] = sch;
-            options.parentArrayFieldDef.schema[options.newFieldDef.name] =
-                options.newFieldDef;
-            sch = options.parentArrayFieldDef.schema;
+            if (typeof Object(def.schema).type === "string") {
+                itemCoreProperties(def.schema, path);
+                return;
+            }
+            def.schema = def.schema || {};
+            schemaCoreProperties(def.schema, path + ".");
+            if (!$.isArray(def.schema[settings.orderProperty])) {
+                def.schema[settings.orderProperty] = Object.keys(def.schema);
+            }
+        }
 
-            schemaCoreProperties(sch, options.parentArrayFieldDef.path + ".");
-            // The call to `schemaCoreProperties` also sets the label to the
-            // name `settings.defaultArrayFieldName` in some cases, but we can
-            // do better, we set it to `options.defaultArrayFieldLabel` if
-            // `sch` does not have a name set.
-            sch[nameOfTheSingleOldField].label = sch.name || options.
-                defaultArrayFieldLabel;
+        /*!
+         * hasEmptySchema
+         * A function that checks if the given field definition of an array or
+         * of an object has a schema without any fields.
+         *
+         * @name hasEmptySchema
+         * @function
+         * @param {Object} def The definition of the field whose schema to
+         * check.
+         * @return {Boolean} True if the schema of the given field has no
+         * fields, false otherwise.
+         */
+        function hasEmptySchema(def) {
+            // This function only works with fields of type "object" and "array"
+            // which have a correct schema. A correct schema always has an array
+            // property with the name taken from `settings.orderProperty`.
+            if (getTypeOf(def.schema) !== "object" ||
+                    getTypeOf(def.schema[settings.orderProperty]) !== "array") {
+                return;
+            }
+            return def.schema[settings.orderProperty].length === 0;
+        }
 
-            // The HTML attribute of the input groups containing the field paths
-            var attrToChange = "data-json-editor-path"; // TODO: make this string configurable at the level of the entire jQuery plugin
+        /*!
+         * updateDescendantDefPaths
+         * Updates the paths of the descendant field definitions according to
+         * the path of the given field definition and to the names of the
+         * descendant fields. For example if `def.path` is
+         * "first.second" and `def` contains a field with the path
+         * "first.test.third", the new path of that field will be
+         * "first.second.third".
+         *
+         * @name updateDescendantDefPaths
+         * @function
+         * @param {Object} def The definition of the field whose descendant
+         * fields' paths should be updated.
+         * @return {undefined}
+         */
+        function updateDescendantDefPaths(def) {
+            var p;
 
-            // Update the UI (the UI is represented by the table rows in the
-            // table body) to represent the new field definition which now
-            // contains a new field in its schema.
-            // For each row in the table body
-            options.$table.children("tbody").children("tr").each(
-                    function (i, tr) {
-                // `tr` is the DOM element, we wrap it in a jQuery object
-                var $tr = $(tr);
-                // We set the "data-json-editor-path" and
-                // "data-json-editor-type" attributes of the current row because
-                // after the new column is added the row will have more than one
-                // cells with input groups and in this case the <tr> element
-                // must specify that it has the type "object", these pieces of
-                // information (which are the type "object" and the path) are
-                // used in the `getData` method
-                $tr.attr({
-                    "data-json-editor-path": options.parentArrayFieldDef.path +
-                        "." + i,
-                    "data-json-editor-type": "object"
-                });
+            // If the `def` field definition is of an elementary type (so it has
+            // no `schema` property of type "object") don't do anything
+            if (typeof def.schema !== "object") return;
 
-                // We take the first cell in the current row
-                var $td = $tr.children("td:first");
-                // We take the first input group (an element with the
-                // "data-json-editor-path" attribute set) from the first cell in
-                // the current row
-                var $group = $td.find("[data-json-editor-path]:first");
-                // We extract the "data-json-editor-path" attribute from the
-                // first input group in the row, this path is of the form
-                // `pathToTheTable.i` where `i` is the index of the row in the
-                // table body
-                var p = $group.attr(attrToChange);
-                // Then we set it to its old value + the name of the single old
-                // field
-                $group.attr(attrToChange, p + "." + nameOfTheSingleOldField);
+            p = def.path;
 
-                // For each nested input group inside this table row (all of
-                // which are under the first found input group `$group` and have
-                // a field path beginning with `p`)
-                $group.find("[data-json-editor-path^='" + p + "']").each(
-                        function (iii, e) {
-                    // `e` is the DOM element, we wrap it in a jQuery object
-                    var $e = $(e);
-                    // We change its "data-json-editor-path" attribute from
-                    // beginning with `p` to beginning with
-                    // `p.nameOfTheSingleOldField`
-                    $e.attr(attrToChange, replaceBeginningOfFieldPath(
-                                $e.attr(attrToChange), p,
-                                p + "." + nameOfTheSingleOldField));
-                });
-            });
-            // Also update the row in the table footer.
-            $tfootRow = options.$table.children("tfoot:first").children(
-                    "tr:first");
-            $tfootRow.attr({
-                "data-json-editor-path":
-                    options.parentArrayFieldDef.path + ".+",
-                "data-json-editor-type": "object"
-            });
+            for (var fieldName in def.schema) {
+                var subDef;
 
-            $tfootInput = $tfootRow.children("td:first")
-                .find("[data-json-editor-path]:first");
-            var p = $tfootInput.attr("data-json-editor-path");
-            $tfootInput.attr("data-json-editor-path", p + "." +
-                    nameOfTheSingleOldField);
-            $tfootInput.find("[data-json-editor-path^='" + p + "']")
-                    .each(function (i, e) {
-                var $e = $(e);
-                $e.attr(attrToChange, replaceBeginningOfFieldPath(
-                            $e.attr(attrToChange), p, p + "." +
-                            nameOfTheSingleOldField));
-            });
-            // Also update the row in the table header (we must only change the
-            // attribute of the only <th> which is a column header)
-            options.$table.children("thead:first").children("tr:first")
-                .children("th:first").attr("data-json-editor-name",
-                        nameOfTheSingleOldField);
+                if (!def.schema.hasOwnProperty(fieldName) ||
+                        fieldName === settings.orderProperty) {
+                    continue;
+                }
 
-            // Delete the controls from the only column of the table because
-            // they will be added in a new column (The controls currently are
-            // just the buttons "Add item" and "Delete item")
-            options.$table.children("*").children("tr")
-                .children("td:nth-child(1)").each(function (i, td) {
-                // Here we do not use the jQuery `find` method with the `:first`
-                // selector because we only delete the only control closest to
-                // the table cell.
-                jQueryClosestDescendant($(td), "[data-json-editor-control]")
-                    .remove();
-            });
+                subDef = def.schema[fieldName];
+
+                subDef.path = p + "." + encodeKey(fieldName);
+                if (subDef.type === "object" ||
+                        subDef.type === "array") {
+                    updateDescendantDefPaths(subDef);
+                }
+            }
         }
 
         /*!
-         * fieldPathIsTableColumn
-         * When path is of the form "arrayTable.3.columnName" (instead of "3"
-         * there could have been any natural number) or
-         * "arrayTable.+.columnName" this function returns `true`. Otherwise it
-         * returns false. The case when the table has a single column of type
-         * object and "columnName" in the path examples above refer to a
-         * property inside that column of type "object" is not handled and the
-         * column name is the actual index (a natural number or the "+"
-         * character).
+         * renameFieldDefinition
+         * Renames a field definition in `settings.schema`, keeping its
+         * position in the order of the fields of its parent. This is used for
+         * the fields with editable names, whose inputs are not recreated when
+         * the name is changed.
          *
-         * @name fieldPathIsTableColumn
+         * @name renameFieldDefinition
          * @function
-         * @param {String} path The path which should be tested.
-         * @return {Boolean} Whether the given path represents a table column.
+         * @param {String} path The current path of the field.
+         * @param {String} newName The new name of the field.
+         * @return {undefined}
          */
-        function fieldPathIsTableColumn(path) {
-            var parts = path.split(".");
-            if (parts.length < 2) {
-                return false;
+        function renameFieldDefinition(path, newName) {
+            var oldName = self.getNameFromPath(path),
+                parentPath = path.substring(0, path.lastIndexOf(".")),
+                parentDef = self.getDefinitionAtPath(parentPath),
+                def, order;
+
+            if (!parentDef || typeof parentDef.schema !== "object" ||
+                    !parentDef.schema.hasOwnProperty(oldName)) {
+                return;
+            }
+
+            def = parentDef.schema[oldName];
+            delete parentDef.schema[oldName];
+            parentDef.schema[newName] = def;
+            def.label = newName;
+            def.path = self.setNameInPath(path, newName);
+            updateDescendantDefPaths(def);
+
+            order = parentDef.schema[settings.orderProperty];
+            if (order && order.indexOf(oldName) !== -1) {
+                order[order.indexOf(oldName)] = newName;
             }
-            var part = parts[parts.length - 2];
-            return part === "+" || Number.isInteger(parseInt(part));
         }
 
         /*!
-         * fieldPathIsUnderTableColumn
-         * Returns true if the given path represents a field under a table
-         * column, returns false otherwise. See the documentation comment of the
-         * `fieldPathIsTableColumn` private function. Currently this function
-         * tests only direct children fields of table columns.
+         * normalizePath
+         * Converts a JSON Pointer (a string beginning with "/", for example
+         * "/keyboards/0/manufacturer") to a field path in dot notation (see
+         * `pointerToPath`). The field paths are returned unchanged.
          *
-         * @name fieldPathIsUnderTableColumn
+         * @name normalizePath
          * @function
-         * @param {String} path The path which should be tested.
-         * @return {Boolean} Whether the given path represents a field under a
-         * table column.
+         * @param {String} path The JSON Pointer or the field path.
+         * @return {String} The field path.
          */
-        function fieldPathIsUnderTableColumn(path) {
-            path = fieldPathGoUp(path);
-            return fieldPathIsTableColumn(path);
+        function normalizePath(path) {
+            if (typeof path === "string" && path.charAt(0) === "/") {
+                return self.pointerToPath(path);
+            }
+            return path;
         }
 
         /*!
-         * fieldPathGoUp
-         * Goes up in the given field path and returns the new path.
+         * emit
+         * Triggers a JSON editor event on the `self.container` element. The
+         * event handlers receive, after the jQuery event object, an object
+         * containing the `path` of the changed field or item, the `oldValue`
+         * and the `newValue`, and other properties specific to the event.
          *
-         * @name fieldPathGoUp
+         * @name emit
          * @function
-         * @param {String} path The path which should be modified.
-         * @return {Boolean} The new path after going up in the given path.
+         * @param {String} name The name of the event without the "jsonedit:"
+         * prefix, for example "change" or "rowadd".
+         * @param {Object} detail The object passed to the event handlers.
+         * @return {undefined}
          */
-        function fieldPathGoUp(path) {
-            return path.split(".").slice(0, -1).join(".");
+        function emit(name, detail) {
+            detail.pointer = pathToPointer(detail.path);
+            if (typeof detail.oldPath === "string") {
+                detail.oldPointer = pathToPointer(detail.oldPath);
+            }
+            self.container.trigger("jsonedit:" + name, [detail]);
         }
 
         /*!
-         * createNewFieldEditor
-         * Returns a jQuery object containing a new field editor.
+         * createAddButton
+         * Returns a new add button to be inserted in a table (which is the UI
+         * for an array).
          *
-         * @name createNewFieldEditor
+         * @name createAddButton
          * @function
-         * @param {Object} options An object containing the following
-         * properties:
-         *
-         * - `newFields` (Boolean): True if the new field editor will create new
-         * fields instead of editing existing fields, false otherwise.
-         * - `deletableFields` (Boolean): Whether the fields created by this
-         * field editor will be deletable.
-         * - `editableFields` (Boolean): Whether the fields created by this
-         * field editor will be editable.
-         * - `addFields` (Boolean): Whether the objects created by this field
-         * editor will be capable of receiving new fields created with the user
-         * interface.
-         * - `parent` (jQuery): Optional. The jQuery element which is the direct
-         * parent of all the group elements at the same level as the new field
-         * editor destination in the UI and has the `data-json-editor-path`
-         * attribute set to the correct path. If it is not set or it does not
-         * have this attribute set, the `self.container` element and an empty
-         * path string will be used.
-         * - `editedGroup` (jQuery): Optional. The jQuery element representing
-         * the field which is edited by the newly created field editor. It is
-         * required only when `newFields` is set to `false`.
-         *
-         * @return {jQuery} The newly created field editor.
+         * @return The new add button.
          */
-        function createNewFieldEditor(options) {
-            var $parent, path, $div, $nameInput, $possibleValuesSelect,
-                $possibleValuesDiv, $checkboxPossibleValues,
-                $possibleValuesLabel, $typeSelect, $labelInput,
-                $possibleValueInput, $addPossibleValueButton,
-                $deletePossibleValueButton, $editedInput, $addFieldButton,
-                $label, formTitle;
-
-            /*!
-             * nameAlreadyExists
-             * A function that determines whether the given name already exists
-             * in a field under the path in which the user tries to create a new
-             * field.
-             *
-             * @name nameAlreadyExists
-             * @function
-             * @param {String} name The name of the field to search for.
-             * @return {Boolean} True if the name already exists, false
-             * otherwise.
-             */
-            function nameAlreadyExists(name) {
-                // If the field editor is not in a table (or, with other words,
-                // it is in an object).
-                if (!$parent.is("table")) {
-                    // Obtain the data at the path where the new field is
-                    // created.
-                    var data = self.getData(path, $parent);
-
-                    // Return true if the given name is already in the data,
-                    // otherwise return false.
-                    return Object.keys(data).indexOf(name) > -1;
-                }
-                var def = self.getDefinitionAtPath(path);
-                // Handle empty schemas (arrays without any fields).
-                if (hasEmptySchema(def)) {
-                    return false;
-                }
-                var sch = def.schema;
-                // If the schema `sch` contains a single field
-                if (typeof sch.type === "string") {
-                    return name === (sch.name ||
-                            settings.defaultArrayFieldName);
-                }
-                // else if `sch` contains multiple fields
-                return sch[settings.orderProperty].indexOf(name) > -1;
-            }
-
-            $parent = options.parent && options.parent.length > 0 ?
-                options.parent : self.container;
-            path = $parent.attr("data-json-editor-path") || "";
-
-            $div = $("<div>", {
-                class: "json-editor-" + (options.newFields ? "new" : "edit") +
-                    "-field-form"
-            });
-
-            $nameInput = $("<input>", {
-                type: "text",
-                class: "json-editor-field-name"
-            });
-
-            $possibleValuesSelect = $("<select>", {
-                multiple: "multiple",
-                class: "json-editor-field-possible-values"
-            });
-
-            $possibleValuesDiv = $("<div>", {
-                css: {
-                    display: "none"
-                },
-                class: "json-editor-possible-values-section"
-            });
-
-            $checkboxPossibleValues = $("<input>", {
-                type: "checkbox",
+        function createAddButton($table) {
+            return $("<input>", {
+                type: "button",
+                val: "+",
                 on: {
-                    change: function (e) {
-                        $possibleValuesDiv.toggle(this.checked);
-                    }
-                },
-                class: "json-editor-field-enable-possible-values"
-            });
-
-            $possibleValuesLabel = $("<label>")
-                .text("Enable possible values: ")
-                .append($checkboxPossibleValues);
+                    click: function () {
+                        var path = $table.attr("data-json-editor-path");
+                        var data = self.getData(path + ".+", $table, true);
+                        var index = $table.children("tbody").children().length;
+                        self.add($table, data);
+                        emit("rowadd", {
+                            path: path + "." + index,
+                            oldValue: undefined,
+                            newValue: data
+                        });
 
-            // This jQuery element is the <select> (combo box) input inside the
-            // field editor with which the end user selects the type of the
-            // created/edited (see the `options.newFields` variable) field.
-            $typeSelect = $("<select>", {
-                on: {
-                    change: function () {
-                        var type = $(this).val();
-                        if (type === "object" || type === "array") {
-                            // A field of type "object" or "array" (so all the
-                            // types that are not elementary) cannot have possible
-                            // values, so we show the possible values controls
-                            // only for fields of type different than "object"
-                            // and "array", elementary types (date, string etc.).
-                            $possibleValuesLabel.add($possibleValuesDiv).hide();
+                        // We use `undefined` when the data is an elementary
+                        // object, and an empty object when it is an object with
+                        // properties. If `data` is an object without any own
+                        // properties, it does not matter if below we call
+                        // `self.setData` with `undefined` or `{}` because the
+                        // `self.setData` method will skip over the new item
+                        // editor in the table because in the row of the new
+                        // item editor there is no element with the
+                        // `data-json-editor-path` attribute set.
+                        if (isElementaryValue(data)) {
+                            data = undefined;
                         } else {
-                            // Create a new input for the newly selected field
-                            // type from `$typeSelect`.
-                            var $clone = JsonEdit.inputs[type].clone()
-                                .attr("data-json-editor-type", type);
-                            // Replace the `$possibleValueInput` input with the
-                            // newly created input.
-                            $possibleValueInput.replaceWith($clone);
-                            $possibleValueInput = $clone;
-                            // Set the default value for the selected type to
-                            // the newly created input.
-                            self.setValueToElement($possibleValueInput,
-                                    getDefaultValueForType(type));
-                            // Clear the list of possible values entered by the
-                            // user (it wouldn't make sense to keep them since
-                            // the type of the possible values has been
-                            // changed).
-                            $possibleValuesSelect.empty();
-
-                            // A field of type "object" or "array" cannot have
-                            // possible values, so we show the possible values
-                            // controls only for fields of type different than
-                            // "object" and "array", for fields of elementary
-                            // types.
-                            $possibleValuesLabel.show();
-                            $possibleValuesDiv.toggle($checkboxPossibleValues
-                                    .is(":checked"));
+                            data = {};
                         }
+                        self.setData(path + ".+", data);
                     }
                 },
-                class: "json-editor-field-type"
-            });
-            for (var i = 0; i < knownElementaryFieldTypes.length; i++) {
-                $typeSelect.append($("<option>", {
-                    value: knownElementaryFieldTypes[i],
-                    text: knownElementaryFieldTypes[i]
-                }));
-            }
-            $typeSelect.append($("<option>", {
-                value: "object",
-                text: "object"
-            }), $("<option>", {
-                value: "array",
-                text: "array"
-            }));
-
-            $labelInput = $("<input>", {
-                type: "text",
-                class: "json-editor-field-label"
-            });
-
-            $possibleValueInput = $("<input>", {
+                "data-json-editor-control": "add"
             });
+        }
 
-            $addPossibleValueButton = $("<input>", {
-                type: "button",
-                value: "+ Add possible value",
-                class: "json-editor-add-possible-value-button",
+        /*!
+         * createDeleteButton
+         * Returns a new delete button to be inserted in a table (the UI for an
+         * array).
+         *
+         * @name createDeleteButton
+         * @function
+         * @param {jQuery} $table The jQuery element of the table representation
+         * of the array for which the delete button is created.
+         * @return The new delete button.
+         */
+        function createDeleteButton($table) {
+            return $("<button>", {
+                text: "×",
+                "data-json-editor-control": "delete",
                 on: {
                     click: function () {
-                        var val = self.getValueFromElement($possibleValueInput);
-                        var text = JsonEdit.converters.string(val);
-                        // See the explanation in the `createGroup` method,
-                        // `field.possible` if branch, for the reason why we do
-                        // not use `JsonEdit.converters.string` for the `value`
-                        // attribute of the `<option>` element.
-                        $possibleValuesSelect.append($("<option>", {
-                            value: val.toString(),
-                            text: text
-                        }));
-                    }
-                }
-            });
+                        var $tr = $(this).closest("tr");
+                        var path = $table.attr("data-json-editor-path");
+                        var index = $tr.index();
+                        var oldValue = self.getData(path)[index];
 
-            $deletePossibleValueButton = $("<input>", {
-                type: "button",
-                value: "× Delete selected possible values",
-                class: "json-editor-delete-possible-value-button",
-                on: {
-                    click: function () {
-                        $possibleValuesSelect.children("option:selected").remove();
+                        self.delete($tr);
+                        self.resetPathIndicesInTable($table);
+                        emit("rowdelete", {
+                            path: path + "." + index,
+                            oldValue: oldValue,
+                            newValue: undefined
+                        });
                     }
                 }
             });
+        }
 
-            $addFieldButton = $("<input>", {
-                type: "button",
-                value: (options.newFields ? "+ Add" : "💾 Save") + " field",
-                class: "json-editor-add-field-button",
-                on: {
-                    click: function () {
-                        var name, label, type, inTable, newFieldDef,
-                            definition, sch;
-
-                        // Remove dots from the name and remove the whitespace
-                        // around it.
-                        $nameInput.val($nameInput.val()
-                                .replace(/\./g, "").trim());
-                        // Remove the whitespace around the label.
-                        $labelInput.val($labelInput.val().trim());
+        /*!
+         * deleteControlsColumn
+         * Deletes the column at the end of `$table` with the add/delete buttons
+         * and adds those buttons in the last remaining column in the table.
+         *
+         * @name deleteControlsColumn
+         * @function
+         * @param {jQuery} $table The jQuery element of the table representaton
+         * of the array in which the controls column is deleted.
+         * @return {undefined}
+         */
+        function deleteControlsColumn($table) {
+            // We do not use a simpler selector with the jQuery `find` method
+            // because we do not want to remove cells from nested tables.
+            $table.children("tbody").children("tr").each(function (i, e) {
+                $(e).children("td:last").remove();
+            });
+            $table.children("tfoot").children("tr").each(function (i, e) {
+                $(e).children("td:last").remove();
+            });
+            addControlsToLastColumn($table);
+        }
 
-                        name = $nameInput.val();
-                        // The default label is the name of the field.
-                        label = $labelInput.val() || name;
+        /*!
+         * deleteAllNestedFields
+         * Deletes all the nested fields inside a field definition. It works
+         * only with fields of type "object" or "array" (it would not make sense
+         * for fields of elementary types which cannot have nested fields).
+         * Using this function is a way to initialize the schema of a field of
+         * type "object" or "array". This means that we set the schema property
+         * of the field to an empty object and we set the
+         * `settings.orderProperty` property of the schema to an empty array.
+         *
+         * @name deleteAllNestedFields
+         * @function
+         * @param {Object} def The field definition from which to delete all the
+         * nested fields.
+         * @return {undefined}
+         */
+        function deleteAllNestedFields(def) {
+            def.schema = {};
+            def.schema[settings.orderProperty] = [];
+        }
 
-                        // Validate the name. It should not be a duplicate, it
-                        // should be different than "+" and not an empty string.
-                        if (name === "+" || name.length === 0 ||
-                                nameAlreadyExists(name)) {
-                            alert(settings.messages.INVALID_FIELD_NAME
-                                    .replace(/\{0\}/g, path));
-                            return;
-                        }
+        /*!
+         * deleteColumn
+         * Deletes a column from an array table, the column being identified
+         * using the `$th` table column header argument which is a jQuery
+         * element.
+         *
+         * @name deleteColumn
+         * @function
+         * @param {jQuery} $th The header `<th>` of the column which should be
+         * deleted.
+         * @return {undefined}
+         */
+        function deleteColumn($th) {
+            var path, name, def, oldValue;
+            // Get the table header row, the one which contains `$th`.
+            var $tr = $th.closest("tr");
+            // Get the index of the column which contains `$th`.
+            var i = $th.index();
+            // Get the table containing the `$th`.
+            var $table = $tr.closest("table");
 
-                        type = $typeSelect.val();
-                        inTable = $parent.is("table");
+            // The path to the field represented by the table.
+            path = $table.attr("data-json-editor-path");
+            name = $th.attr("data-json-editor-name");
+            // The values in the deleted column, sent to the event handlers.
+            oldValue = $.map(self.getData(path), function (item) {
+                return [name.length > 0 ? Object(item)[name] : item];
+            });
 
-                        // Build the field definition of the new or modified
-                        // field.
-                        newFieldDef = {
-                            name: name,
-                            label: label,
-                            type: type,
-                            path: (path ? path.replace(/\.\d+$/, "") + "." : "") + name
-                        };
-                        inheritField(newFieldDef, {
-                            addField: options.addFields,
-                            deletableFields: options.deletableFields,
-                            editableFields: options.editableFields,
-                            deletable: options.deletableFields,
-                            editable: options.editableFields
-                        });
-                        // Get the schema of the array/object field definition
-                        // that is the parent of the new/edited field.
-                        definition = self.getDefinitionAtPath(path);
-                        sch = definition.schema;
+            // :nth-child selector uses 1-based indices. Select all the table
+            // cells with the index (i + 1) inside the parent rows in the table
+            // body and in the table footer, then remove them from the document.
+            // We do not use a simpler selector with the jQuery `find` method
+            // because we do not want to remove cells from tables inside this
+            // table's cells (which are the cells of `$table`).
+            $table.children("tbody").children("tr")
+                .children("td:nth-child(" + (i + 1) + ")").remove();
+            $table.children("tfoot").children("tr")
+                .children("td:nth-child(" + (i + 1) + ")").remove();
+            // Also remove the column header `$th`.
+            $th.remove();
 
-                        // The type can be "object", "array" or an elementary
-                        // type (string, date etc.). See the
-                        // `knownElementaryFieldTypes` variable for the
-                        // elementary types.
-                        // If a field of type "object" is added or edited in a
-                        // table (a field of type "array") or in a field of type
-                        // "object" with 0, 1 or more subfields
-                        if (type === "object") {
-                            deleteAllNestedFields(newFieldDef);
+            // Also remove the column (field) from the array schema so
+            // that the add new field button will work correctly, will
+            // not add the deleted field to the new array items.
 
-                            // If the field editor is inside a table (array)
-                            // with 0, 1 or more subfields and an object is
-                            // added or edited in that table
-                            if (inTable) {
-                                // If a field of type object is added or edited
-                                // inside an array (table) with a single
-                                // subfield
-                                if (typeof sch.type === "string") {
-                                    // If a new field of type "object" is
-                                    // created inside a table with a single
-                                    // subfield
-                                    if (options.newFields) {
-                                        prepareOnlyColumnForNewColumn({
-                                            parentArrayFieldDef: definition,
-                                            defaultArrayFieldName: settings.
-                                                defaultArrayFieldName,
-                                            defaultArrayFieldLabel: settings.
-                                                defaultArrayFieldLabel,
-                                            $table: $parent,
-                                            newFieldDef: newFieldDef,
-                                            orderProperty: settings.orderProperty
-                                        });
+            def = self.getDefinitionAtPath(path);
+            // If there is only a single column in the table, its `<th>` will
+            // have the `data-json-editor-name` attribute set to an empty
+            // string.
+            if (name.length > 0) {
+                var order;
 
-                                        // Add a new column with controls (add,
-                                        // delete).
-                                        addColumnWithControls($parent);
+                delete def.schema[name];
+                order = def.schema[settings.orderProperty];
+                order.splice(order.indexOf(name), 1);
+                // If there remains just one column after removing the selected
+                // column, move the add/delete item buttons inside the single
+                // column, set an empty `data-json-editor-name` attribute to the
+                // column header and change the attributes of the rows and of
+                // the inputs in the rows so that the `getData` method will not
+                // return an array of objects with a single property but an
+                // array of elementary objects (strings, numbers, dates etc.).
+                // Also update the definition of the array to have its only
+                // field's schema directly in the `schema` property.
+                if (order.length === 1) {
+                    var $tfootRow, $tfootInput;
 
-                                        addNewColumn({
-                                            $table: $parent,
-                                            newFieldDef: newFieldDef,
-                                            arrayFieldDef: definition
-                                        });
-                                    // Else if an existing field of type
-                                    // "object" or of another type is edited
-                                    // inside a table with a single subfield
-                                    // (which is the edited field) to become a
-                                    // field of type "object"
-                                    } else {
-                                        // TODO: Not yet implemented.
-                                    }
-                                // If a field of type "object" is added or
-                                // edited inside an array (table) with no
-                                // subfields
-                                } else if (hasEmptySchema(definition)) {
-                                    // If a new field of type "object" is
-                                    // created inside an array (table) with no
-                                    // subfields
-                                    if (options.newFields) {
-                                        // Add the new column before deleting
-                                        // the controls column because
-                                        // `deleteControlsColumn` puts the
-                                        // controls in the last column after
-                                        // removing the controls column, and
-                                        // that last column exists only after
-                                        // calling the `addNewColumn` function.
-                                        // Add the new column before updating
-                                        // the schema of the array because the
-                                        // `addNewColumn` function uses the old
-                                        // schema when calling the
-                                        // `createNewCellEditor` function.
-                                        addNewColumn({
-                                            $table: $parent,
-                                            newFieldDef: newFieldDef,
-                                            arrayFieldDef: definition
-                                        });
+                    deleteControlsColumn($table);
 
-                                        // Update the schema of the array.
-                                        definition.schema = newFieldDef;
+                    // Update the UI (the table rows in the table body) to
+                    // represent the new schema.
+                    // Here we do not use a simpler selector with the jQuery
+                    // `find` method because we do not want to affect nested
+                    // tables.
+                    $table.children("tbody").children("tr")
+                            .each(function (i, e) {
+                        var $e = $(e);
+                        $e.removeAttr("data-json-editor-path");
+                        $e.removeAttr("data-json-editor-type");
+                        $e.children("td").each(function (ii, td) {
+                            var $ee = $(td)
+                                .find("[data-json-editor-path]:first");
+                            var oldPath = $ee.attr("data-json-editor-path");
+                            var newPath = path + "." + i;
+                            $ee.attr("data-json-editor-path", newPath);
+                            $ee.find("[data-json-editor-path]")
+                                .each(function (iii, eee) {
+                                    var $eee = $(eee);
+                                    $eee.attr("data-json-editor-path",
+                                            replaceBeginningOfFieldPath($eee
+                                                .attr("data-json-editor-path"),
+                                                oldPath, newPath));
+                                });
+                        });
+                    });
+                    // Also update the row in the table footer.
+                    // Here we do not use a simpler selector with the jQuery
+                    // `find` method because we do not want to affect nested
+                    // tables.
+                    $tfootRow = $table.children("tfoot").children("tr");
+                    $tfootRow.removeAttr("data-json-editor-path");
+                    $tfootRow.removeAttr("data-json-editor-type");
+                    $tfootInput = $tfootRow.find("[data-json-editor-path]:first");
+                    var p = $tfootInput.attr("data-json-editor-path");
+                    $tfootInput.attr("data-json-editor-path", path + ".+");
+                    $tfootInput.find("[data-json-editor-path]").each(
+                            function (i, e) {
+                        $e = $(e);
+                        $e.attr("data-json-editor-path",
+                                replaceBeginningOfFieldPath(
+                                    $e.attr("data-json-editor-path"),
+                                    p, path + ".+"));
 
-                                        deleteControlsColumn($parent);
-                                    // Else if an existing field of type
-                                    // "object" or of another type is edited
-                                    // inside an array (table) with no subfields
-                                    // to become a field of type "object" - an
-                                    // impossible situation
-                                    } else {
-                                        alert(settings.messages.
-                                                EDIT_FIELD_IN_ARRAY_WITHOUT_FIELDS);
-                                    }
-                                // If a field of type "object" is added or
-                                // edited inside an array (table) with at
-                                // least 2 subfields
-                                } else {
-                                    // If a new field of type "object" is
-                                    // created inside an array (table) with 2
-                                    // or more subfields
-                                    if (options.newFields) {
-                                        // First update the schema.
-                                        sch[settings.orderProperty].push(name);
-                                        sch[name] = newFieldDef;
 
-                                        addNewColumn({
-                                            $table: $parent,
-                                            newFieldDef: newFieldDef,
-                                            arrayFieldDef: definition
-                                        });
-                                    // Else if an existing field of type
-                                    // "object" is edited inside an array
-                                    // (table) with 2 or more subfields
-                                    } else {
-                                        // TODO: Not yet implemented.
-                                    }
-                                }
-                            // If the field editor is inside an object and an
-                            // object is added or edited in that object which
-                            // has 0, 1 or more subfields
-                            } else { // !inTable
-                                saveObjectOrArrayInObject({
+                    });
+                    // Also update the row in the table header.
+                    $table.children("thead:first").children("tr:first")
+                        .children("th:first")
+                        .attr("data-json-editor-name", "");
+
+                    def.schema = def.schema[order[0]];
+                }
+            } else {
+                deleteAllNestedFields(def);
+                addColumnWithControls($table);
+            }
+
+            emit("fielddelete", {
+                path: name.length > 0 ? path + "." + encodeKey(name) : path,
+                oldValue: oldValue,
+                newValue: undefined
+            });
+        }
+
+        /*!
+         * addColumnWithControls
+         * Adds as a last column to the specified jQuery table element a column
+         * with an add new item control in the `<tfoot>` row and with delete
+         * item controls in each of the rows in the `<tbody>`.
+         *
+         * @name addColumnWithControls
+         * @function
+         * @param {jQuery} $table The table jQuery element to which to add the
+         * controls.
+         * @return {undefined}
+         */
+        function addColumnWithControls($table) {
+            // If the array schema contained a single field, add a new column
+            // with the delete item and add item buttons which existed only in
+            // the <td>s from the deleted column (or, when adding a new column
+            // to a table with a single column, which existed only in the old
+            // single column).
+            $table.children("tbody").children("tr").each(function (i, e) {
+                $(e).append($("<td>").append(
+                            createDeleteButton($table)));
+            });
+            $table.children("tfoot").children("tr").each(function (i, e) {
+                $(e).append($("<td>").append(
+                            createAddButton($table)));
+            });
+        }
+
+        /*!
+         * addControlsToLastColumn
+         * Adds in the last column of the specified jQuery table element
+         * controls with an add new item control in the `<tfoot>` row and with
+         * delete item controls in each of the rows in the `<tbody>`.
+         *
+         * @name addControlsToLastColumn
+         * @function
+         * @param {jQuery} $table The table jQuery element to which to add the
+         * controls.
+         * @return {undefined}
+         */
+        function addControlsToLastColumn($table) {
+            // Here we must keep the code working well in the case of nested
+            // tables.
+            $table.children("tbody").children("tr").children("td:last-child")
+                    .each(function (i, e) {
+                $(e).append(createDeleteButton($table));
+            });
+            $table.children("tfoot").children("tr:first").children("td:last")
+                    .each(function (i, e) {
+                $(e).append(createAddButton($table));
+            });
+        }
+
+        /*!
+         * createDeleteFieldButton
+         * Returns a new delete field button to be inserted in a column header
+         * in a table with the `deletableFields` schema property set to `true`.
+         *
+         * @name createDeleteFieldButton
+         * @function
+         * @return {jQuery} The new delete field button.
+         */
+        function createDeleteFieldButton() {
+            return $("<input>", {
+                type: "button",
+                value: "× Delete field",
+                on: {
+                    click: function () {
+                        deleteColumn($(this).parent());
+                    }
+                }
+            });
+        }
+
+        /*!
+         * createColumnHeader
+         * Returns a new `<th>` for the specified field definition which will be
+         * inserted in the table as a column header.
+         *
+         * @name createColumnHeader
+         * @function
+         * @param {Object} def The field definition for which to generate the
+         * column header.
+         * @param {Object} arrayFieldDefinition The field definition of the
+         * array in whose table representation the column header should be
+         * created.
+         * @return {jQuery} The column header which is a `<th>` element.
+         */
+        function createColumnHeader(def, arrayFieldDefinition) {
+            // The new column should not have the attribute
+            // `data-json-editor-name` set in the column header when it is the
+            // only column in the table, so we clone the field definition object
+            // (`def`) and remove the `name` property from it. When this
+            // property is not defined on the `def` object, the generated `<th>`
+            // element will have the "data-json-editor-name" attribute set to an
+            // empty string.
+            if (hasEmptySchema(arrayFieldDefinition)) {
+                def = $.extend(true, {}, def);
+                delete def.name;
+            }
+
+            var $th = $("<th>", {
+                text: def.label || settings.defaultArrayFieldLabel,
+                "data-json-editor-name": def.name || ""
+            });
+            if (def.deletable) {
+                $th.append(createDeleteFieldButton());
+            }
+            return $th;
+        }
+
+        /*!
+         * inheritField
+         * A function that inherits a few properties from the parent field (of
+         * type "object", and in the future maybe also "array") into the child
+         * field.
+         *
+         * @name inheritField
+         * @function
+         * @param {Object} targetDef The child field definition that will
+         * receive some properties from the parent field definition.
+         * @param {Object} sourceDef The parent field definition from which some
+         * properties will be inherited.
+         * @return {undefined}
+         */
+        function inheritField(targetDef, sourceDef) {
+            /*!
+             * A small function that returns the second argument if the first
+             * argument is undefined, else it returns the first argument.
+             */
+            function f(a, b) {
+                if (typeof a === "undefined") {
+                    return b;
+                }
+                return a;
+            }
+
+            // If the type of the target (child) field is not elementary (is
+            // either "object" or "array")
+            if (targetDef.type === "object" || targetDef.type === "array") {
+                // If the parent object `sourceDef` of the field `targetDef` of
+                // type "object" or "array" has the `deletableFields` flag set,
+                // mark the field as `deletableFields`, only if `targetDef` does
+                // not already contain the `deletableFields` property. The same
+                // goes for the `editableFields` and `addField` properties.
+                targetDef.deletableFields =
+                    f(targetDef.deletableFields, sourceDef.deletableFields);
+                targetDef.editableFields =
+                    f(targetDef.editableFields, sourceDef.editableFields);
+                targetDef.addField = f(targetDef.addField,
+                        sourceDef.addField);
+            }
+            // If the parent object `sourceDef` of the field `targetDef` has the
+            // `deletableFields` flag set, mark the field as `deletable`, only
+            // if `targetDef` does not already contain the `deletable` property.
+            // The same goes for `editableFields` and `editable`.
+            targetDef.deletable = f(targetDef.deletable,
+                    sourceDef.deletableFields);
+            targetDef.editable = f(targetDef.editable,
+                    sourceDef.editableFields);
+        }
+
+        /*!
+         * updateAndRenameFieldData
+         * Updates the data of all the fields in the JSON editor which is stored
+         * in the `settings.data` variable and is used to fill the edited field
+         * after changing its name. It also renames the field data in the
+         * `settings.data` variable if the new name is different than the old
+         * name so that the new input group created with the call below to the
+         * `createGroup` method in the calling function (which is the click
+         * handler of the "Add/Save field" button in the `createNewFieldEditor`
+         * function) will display the correct data. This function needs to stay
+         * in the scope of the `settings.data` variable and in the scope of the
+         * `renameValueAtPath` function to work without errors.
+         *
+         * @name updateAndRenameFieldData
+         * @function
+         * @param {String} oldPath The path to the field before its name was
+         * edited in the current field editor.
+         * @param {String} newName The new name of the field, the one inserted
+         * by the end user in the current field editor before pressing the Save
+         * button. It can be the same as the old name and in this case this
+         * function only updates the data without renaming any field data in the
+         * `settings.data` object.
+         * @return {undefined}
+         */
+        function updateAndRenameFieldData(oldPath, newName) {
+
+            var oldName = self.getNameFromPath(oldPath);
+            // Update the default data used for the edited field's new input
+            // group (which is the DOM representation of the field) and also
+            // updates the default data for all the remaining fields in the JSON
+            // editor, taking the data from the way in which the input groups
+            // are currently filled in the UI by the end user or by the initial
+            // data offered to the JSON editor constructor.
+            settings.data = self.getData(null, null,
+                    null, true);
+            // If the name (so also the path) of the field has been changed
+            if (newName !== oldName) {
+                // Then replace in the `settings.data` variable the old field
+                // name with the new field name.
+                renameValueAtPath(oldPath, newName);
+            }
+        }
+
+        /*!
+         * saveObjectOrArrayInObject
+         * Saves a new or edited object or array inside an object.
+         *
+         * @name saveObjectOrArrayInObject
+         * @function
+         * @param {Object} options An object containing the following
+         * properties:
+         *
+         * - `parentSchema` (Object): The schema of the parent field. The parent
+         *   field is expected by this function to be a field of type "object".
+         * - `orderProperty` (String): Contains the name of the property in the
+         *   field schemas which contains the array with the names of the fields
+         *   inside the schema in the order in which they should appear in the
+         *   user interface.
+         * - `newField` (Boolean): Whether the saved field is newly created (in
+         *   this case it has the value `true`) or edited (in this case it has
+         *   the value `false`).
+         * - `$editedInput` (jQuery): Optional, relevant only when the
+         *   `newField` option is set to `false`. It is the jQuery element
+         *   representing the input group that is being edited.
+         * - `newFieldDef` (Object): The JavaScript object representing the
+         *   definition of the saved field (which can be new or edited).
+         * - `$fieldEditorForm` (jQuery): The jQuery element representing the
+         *   form (which currently is always a `<div>`) used for creating or
+         *   editing the saved field (which is only of type "object" or "array"
+         *   in this function). This is used to position the saved field user
+         *   interface before the field editor.
+         * - `latestName` (String): The latest name of the saved field. It can
+         *   be the same as the old name if it was not changed in the field
+         *   editor.
+         * - `parentPath` (String): The field path of the parent field in which
+         *   the new field of type "object" or "array" should be added.
+         * - `parentElement` (jQuery): The element representing the parent field
+         *   in which the new field of type "object" or "array" should be added.
+         *
+         * @return {undefined}
+         */
+        function saveObjectOrArrayInObject(options) {
+            var order = options.parentSchema[options.orderProperty];
+            // If a new field of type "object" or "array" is created inside an
+            // object (which means a field of type "object") and the parent
+            // object has 0, 1 or more subfields
+            if (options.newField) {
+                // A new field of type "object" or "array" is added to an object
+                // so add the name of the new field to the order array in the
+                // parent schema
+                order.push(options.latestName);
+                // Insert the new field definition in the `settings.schema`
+                // variable
+                options.parentSchema[options.latestName] = options.newFieldDef;
+            // Else if a field of type "object", "array" or of other type is
+            // edited inside an object (which means a field of type "object") to
+            // become a field of type "object" or "array" and the parent object
+            // has 0, 1 or more subfields (if it already is of type "object" or
+            // "array" the user through the field editor could have also changed
+            // its name, so also its path, or its label)
+            } else {
+                // A field of type "object", "array" or other type is edited to
+                // become a field of type "object" or "array".  The field is
+                // inside an object.
+                var _path = options.$editedInput.attr("data-json-editor-path");
+                var oldName = self.getNameFromPath(_path);
+
+                // If the old field definition had a schema (this is true if the
+                // old field definition was of type "object" or "array", so not
+                // of an elementary type)
+                if (typeof options.parentSchema[oldName].schema === "object") {
+                    // Keep the schema of the old field definition (the fields
+                    // in the object or in the array, depending on the type of
+                    // the field) in the new field definition, because even if
+                    // the type of the field was the same before the Save
+                    // operation ("object" or "array"), the Save operation just
+                    // updated the name, path or the label of the field and the
+                    // subfields, without talking about their paths, stay the
+                    // same
+                    options.newFieldDef.schema = options.parentSchema[oldName].
+                        schema;
+                }
+
+                // Also change the paths of the descendant field definitions.
+                // For example if `_path` is "first.second" (`oldName` is
+                // "second") and `name` is "third", the new path of the field
+                // will be "first.third" and lets say that the schema of this
+                // field contains a string field with path "first.second.test".
+                // After changing the path from "first.second" to "first.third",
+                // this string field should also change its path from
+                // "first.second.test" to "first.third.test".
+                updateDescendantDefPaths(options.newFieldDef);
+
+                // Insert the new field definition in the `settings.schema`
+                // variable, indirectly through the `options.parentSchema`
+                // variable which points to an object that is inside
+                // `settings.schema`.
+                options.parentSchema[options.latestName] = options.newFieldDef;
+
+                // If the name (so also the path) of the field has been changed,
+                // replace the old name with the new name in the order array and
+                // delete the old field definition with the old name from the
+                // parent schema.
+                if (options.latestName !== oldName) {
+                    order[order.indexOf(oldName)] = options.latestName;
+                    delete options.parentSchema[oldName];
+                }
+
+                updateAndRenameFieldData(_path, options.latestName);
+            }
+
+            // If the new field's path is inside a table column of type "object"
+            if (fieldPathIsTableColumn(options.parentPath)) {
+                // Create and show the UI for the field definition in each of
+                // the rows under that column
+                createUIOfSubfieldInObjectColumn(options.parentElement, options.
+                        newFieldDef);
+            } else {
+                // Create and show the UI for the field definition and add it
+                // before the field editor.
+                options.$fieldEditorForm.before(self.createGroup(options.
+                            newFieldDef));
+            }
+        }
+
+        /*!
+         * createNewCellEditor
+         * Creates a new cell editor (a field editor inside a table cell) to be
+         * used in a newly created column.  This function is currently used just
+         * indirectly through the `addNewColumn` function to add cells to a new
+         * column in a table.
+         *
+         * @name createNewCellEditor
+         * @function
+         * @param {Object} options An object containing the following
+         * properties:
+         *
+         * - `arrayFieldDef` (Object): The field definition object of the field
+         *   of type "array" in which a new column is added and filled with cell
+         *   editors created with this function.
+         * - `indexString` (String): The string added at the end of the field
+         *   path of the table (after the final "." which indicates an
+         *   unfinished field path but is not a part of the path of the table)
+         *   to make the path of each of the table rows. For example, this
+         *   string is currently either an integer converted to a string or the
+         *   "+" string. When it is the "+" string it indicates that a cell
+         *   editor is created to be used in the table footer. For example, the
+         *   path of a cell editor could look like these: "hobbies.0",
+         *   "hobbies.1.name" or "hobbies.+.name".
+         * - `newFieldDef` (Object): The field definition object of the newly
+         *   created column (a column is a field inside an array), from whose
+         *   model the cell editor will be created.
+         *
+         * @return {jQuery} The newly created field editor inside a table cell
+         * (<td>).
+         */
+        function createNewCellEditor(options) {
+            var path, sch;
+
+            // Compute the path of the cell editor (or field editor inside a
+            // cell) created by this function
+            path = (options.arrayFieldDef.path.length > 0 ?
+                    options.arrayFieldDef.path + "." : "") +
+                options.indexString;
+            // From the 3 possibilities: no field, one field or many (2 or more)
+            // fields in the schema of the array before the addition of the new
+            // column, the name should be added to the path only when the schema
+            // already contains one or more fields. When it does not contain any
+            // fields, the new field will be alone and its data will be accessed
+            // directly from the only input in that row.
+            if (!hasEmptySchema(options.arrayFieldDef)) {
+                path += "." + encodeKey(options.newFieldDef.name);
+            }
+
+            // Clone the field definition of the column and set the path of the
+            // clone to the path of the newly created cell editor
+            sch = $.extend(true, {}, options.newFieldDef, {
+                path: path
+            });
+
+            // Cell editors should be field editors without labels, not
+            // deletable or editable
+            delete sch.label;
+            delete sch.deletable;
+            delete sch.editable;
+
+            // Create the input group for the cell editor and insert it in a
+            // table cell, then return the table cell
+            return $("<td>").append(self.createGroup(sch));
+        }
+
+        /*!
+         * addNewColumn
+         * Creates and shows the UI for the new column in the table. First adds
+         * a table column header then adds empty inputs under it.
+         *
+         * @name addNewColumn
+         * @function
+         * @param {Object} options An object containing the following
+         * properties:
+         *
+         * - `$table` (jQuery): The table element in which to add the new
+         *   column.
+         * - `newFieldDef` (Object): The field definition of the new column.
+         * - `arrayFieldDef` (Object): The field definition of the table (array)
+         *   in which the new column is added.
+         *
+         * @return {undefined}
+         */
+        function addNewColumn(options) {
+            // We must keep the code below compatible with the possible nested
+            // tables
+            var $trs = options.$table.children("tbody").children("tr");
+            var $tds, $cellEditor, $tfootRow;
+            // First add the column header
+            options.$table.children("thead").children("tr:first")
+                .children("th:last").before(
+                        createColumnHeader(options.newFieldDef,
+                            options.arrayFieldDef));
+            // For each row in the table body
+            for (var i = 0; i < $trs.length; i++) {
+                var $tr = $trs.eq(i);
+                // Create a new cell editor
+                $cellEditor = createNewCellEditor({
+                    arrayFieldDef: options.arrayFieldDef,
+                    indexString: i.toString(),
+                    newFieldDef: options.newFieldDef
+                });
+                $tds = $tr.children("td");
+                // If there are cells in the row, put the cell editor before the
+                // last cell
+                if ($tds.length > 0) {
+                    $tds.eq(-1).before($cellEditor);
+                // Else append the cell editor to the row
+                } else {
+                    $tr.append($cellEditor);
+                }
+            }
+            // Do the same for the table footer row.
+            $tfootRow = options.$table.children("tfoot").children("tr:first");
+            $tds = $tfootRow.children("td");
+            $cellEditor = createNewCellEditor({
+                arrayFieldDef: options.arrayFieldDef,
+                indexString: "+",
+                newFieldDef: options.newFieldDef
+            });
+            if ($tds.length > 0) {
+                $tds.eq(-1).before($cellEditor);
+            } else {
+                $tfootRow.append($cellEditor);
+            }
+        }
+
+        /*!
+         * prepareOnlyColumnForNewColumn
+         * Prepares the global schema `settings.schema` by adding the new field
+         * definition `newFieldDef` to the schema of the `parentArrayFieldDef`
+         * which currently contains a single field (column) and after this, it
+         * prepares the table UI (the header, body and the footer of the table)
+         * for adding a new column after the current single column in the
+         * `$table` table (a table is the UI for an array) by changing some HTML
+         * attributes ("data-json-editor-type", "data-json-editor-path" and
+         * "data-json-editor-name") and by removing the controls from the single
+         * column in the table (which are the "Add item" and "Delete item"
+         * buttons).
+         *
+         * @name prepareOnlyColumnForNewColumn
+         * @function
+         * @param {Object} options An object containing the following
+         * properties:
+         *
+         * - `parentArrayFieldDef` (Object): The definition of the parent field
+         *   of type "array" representing the table in which the only column
+         *   should be prepared for the addition of a new column which is
+         *   defined by the `newFieldDef` property of this object. The UI for
+         *   this field definition is `$table`.
+         * - `defaultArrayFieldName` (String): The default name the single old
+         *   field (or column) in the table should get before adding a new
+         *   column which must have a name set, unlike the old single field in
+         *   the table (in the array).
+         * - `defaultArrayFieldLabel` (String): The label the old single column
+         *   will get just before the new column is added.
+         * - `$table` (jQuery): The jQuery element representing the table in
+         *   which this function should prepare the addition of a new column
+         *   after an already existing single column.
+         * - `newFieldDef` (Object): The definition of the field representing
+         *   the newly created column that should be inserted in the schema of
+         *   the parent array field definition which is `parentArrayFieldDef`.
+         * - `orderProperty` (String): Contains the name of the property in the
+         *   field schemas which contains the array with the names of the fields
+         *   inside the schema in the order in which they should appear in the
+         *   user interface.
+         *
+         * @return {undefined}
+         */
+        function prepareOnlyColumnForNewColumn(options) {
+            var $tfootRow, $tfootInput, sch = options.parentArrayFieldDef.
+                schema;
+
+            // Move the old single field inside a larger schema which also
+            // contains the newly created field.
+            var nameOfTheSingleOldField = sch.name || options.
+                defaultArrayFieldName;
+            options.parentArrayFieldDef.schema = {};
+            options.parentArrayFieldDef.schema[options.orderProperty] =
+                [nameOfTheSingleOldField, options.newFieldDef.name];
+            options.parentArrayFieldDef.schema[nameOfTheSingleOldField] = sch;
+            options.parentArrayFieldDef.schema[options.newFieldDef.name] =
+                options.newFieldDef;
+            sch = options.parentArrayFieldDef.schema;
+
+            schemaCoreProperties(sch, options.parentArrayFieldDef.path + ".");
+            // The call to `schemaCoreProperties` also sets the label to the
+            // name `settings.defaultArrayFieldName` in some cases, but we can
+            // do better, we set it to `options.defaultArrayFieldLabel` if
+            // `sch` does not have a name set.
+            sch[nameOfTheSingleOldField].label = sch.name || options.
+                defaultArrayFieldLabel;
+
+            // The HTML attribute of the input groups containing the field paths
+            var attrToChange = "data-json-editor-path"; // TODO: make this string configurable at the level of the entire jQuery plugin
+
+            // Update the UI (the UI is represented by the table rows in the
+            // table body) to represent the new field definition which now
+            // contains a new field in its schema.
+            // For each row in the table body
+            options.$table.children("tbody").children("tr").each(
+                    function (i, tr) {
+                // `tr` is the DOM element, we wrap it in a jQuery object
+                var $tr = $(tr);
+                // We set the "data-json-editor-path" and
+                // "data-json-editor-type" attributes of the current row because
+                // after the new column is added the row will have more than one
+                // cells with input groups and in this case the <tr> element
+                // must specify that it has the type "object", these pieces of
+                // information (which are the type "object" and the path) are
+                // used in the `getData` method
+                $tr.attr({
+                    "data-json-editor-path": options.parentArrayFieldDef.path +
+                        "." + i,
+                    "data-json-editor-type": "object"
+                });
+
+                // We take the first cell in the current row
+                var $td = $tr.children("td:first");
+                // We take the first input group (an element with the
+                // "data-json-editor-path" attribute set) from the first cell in
+                // the current row
+                var $group = $td.find("[data-json-editor-path]:first");
+                // We extract the "data-json-editor-path" attribute from the
+                // first input group in the row, this path is of the form
+                // `pathToTheTable.i` where `i` is the index of the row in the
+                // table body
+                var p = $group.attr(attrToChange);
+                // Then we set it to its old value + the name of the single old
+                // field
+                $group.attr(attrToChange, p + "." +
+                        encodeKey(nameOfTheSingleOldField));
+
+                // For each nested input group inside this table row (all of
+                // which are under the first found input group `$group` and have
+                // a field path beginning with `p`)
+                $group.find("[data-json-editor-path^='" + p + "']").each(
+                        function (iii, e) {
+                    // `e` is the DOM element, we wrap it in a jQuery object
+                    var $e = $(e);
+                    // We change its "data-json-editor-path" attribute from
+                    // beginning with `p` to beginning with
+                    // `p.nameOfTheSingleOldField`
+                    $e.attr(attrToChange, replaceBeginningOfFieldPath(
+                                $e.attr(attrToChange), p,
+                                p + "." + encodeKey(nameOfTheSingleOldField)));
+                });
+            });
+            // Also update the row in the table footer.
+            $tfootRow = options.$table.children("tfoot:first").children(
+                    "tr:first");
+            $tfootRow.attr({
+                "data-json-editor-path":
+                    options.parentArrayFieldDef.path + ".+",
+                "data-json-editor-type": "object"
+            });
+
+            $tfootInput = $tfootRow.children("td:first")
+                .find("[data-json-editor-path]:first");
+            var p = $tfootInput.attr("data-json-editor-path");
+            $tfootInput.attr("data-json-editor-path", p + "." +
+                    encodeKey(nameOfTheSingleOldField));
+            $tfootInput.find("[data-json-editor-path^='" + p + "']")
+                    .each(function (i, e) {
+                var $e = $(e);
+                $e.attr(attrToChange, replaceBeginningOfFieldPath(
+                            $e.attr(attrToChange), p, p + "." +
+                            encodeKey(nameOfTheSingleOldField)));
+            });
+            // Also update the row in the table header (we must only change the
+            // attribute of the only <th> which is a column header)
+            options.$table.children("thead:first").children("tr:first")
+                .children("th:first").attr("data-json-editor-name",
+                        nameOfTheSingleOldField);
+
+            // Delete the controls from the only column of the table because
+            // they will be added in a new column (The controls currently are
+            // just the buttons "Add item" and "Delete item")
+            options.$table.children("*").children("tr")
+                .children("td:nth-child(1)").each(function (i, td) {
+                // Here we do not use the jQuery `find` method with the `:first`
+                // selector because we only delete the only control closest to
+                // the table cell.
+                jQueryClosestDescendant($(td), "[data-json-editor-control]")
+                    .remove();
+            });
+        }
+
+        /*!
+         * fieldPathIsTableColumn
+         * When path is of the form "arrayTable.3.columnName" (instead of "3"
+         * there could have been any natural number) or
+         * "arrayTable.+.columnName" this function returns `true`. Otherwise it
+         * returns false. The case when the table has a single column of type
+         * object and "columnName" in the path examples above refer to a
+         * property inside that column of type "object" is not handled and the
+         * column name is the actual index (a natural number or the "+"
+         * character).
+         *
+         * @name fieldPathIsTableColumn
+         * @function
+         * @param {String} path The path which should be tested.
+         * @return {Boolean} Whether the given path represents a table column.
+         */
+        function fieldPathIsTableColumn(path) {
+            var parts = path.split(".");
+            if (parts.length < 2) {
+                return false;
+            }
+            var part = parts[parts.length - 2];
+            return part === "+" || /^\d+$/.test(part);
+        }
+
+        /*!
+         * fieldPathIsUnderTableColumn
+         * Returns true if the given path represents a field under a table
+         * column, returns false otherwise. See the documentation comment of the
+         * `fieldPathIsTableColumn` private function. Currently this function
+         * tests only direct children fields of table columns.
+         *
+         * @name fieldPathIsUnderTableColumn
+         * @function
+         * @param {String} path The path which should be tested.
+         * @return {Boolean} Whether the given path represents a field under a
+         * table column.
+         */
+        function fieldPathIsUnderTableColumn(path) {
+            path = fieldPathGoUp(path);
+            return fieldPathIsTableColumn(path);
+        }
+
+        /*!
+         * fieldPathGoUp
+         * Goes up in the given field path and returns the new path.
+         *
+         * @name fieldPathGoUp
+         * @function
+         * @param {String} path The path which should be modified.
+         * @return {Boolean} The new path after going up in the given path.
+         */
+        function fieldPathGoUp(path) {
+            return path.split(".").slice(0, -1).join(".");
+        }
+
+        /*!
+         * createNewFieldEditor
+         * Returns a jQuery object containing a new field editor.
+         *
+         * @name createNewFieldEditor
+         * @function
+         * @param {Object} options An object containing the following
+         * properties:
+         *
+         * - `newFields` (Boolean): True if the new field editor will create new
+         * fields instead of editing existing fields, false otherwise.
+         * - `deletableFields` (Boolean): Whether the fields created by this
+         * field editor will be deletable.
+         * - `editableFields` (Boolean): Whether the fields created by this
+         * field editor will be editable.
+         * - `addFields` (Boolean): Whether the objects created by this field
+         * editor will be capable of receiving new fields created with the user
+         * interface.
+         * - `parent` (jQuery): Optional. The jQuery element which is the direct
+         * parent of all the group elements at the same level as the new field
+         * editor destination in the UI and has the `data-json-editor-path`
+         * attribute set to the correct path. If it is not set or it does not
+         * have this attribute set, the `self.container` element and an empty
+         * path string will be used.
+         * - `editedGroup` (jQuery): Optional. The jQuery element representing
+         * the field which is edited by the newly created field editor. It is
+         * required only when `newFields` is set to `false`.
+         *
+         * @return {jQuery} The newly created field editor.
+         */
+        function createNewFieldEditor(options) {
+            var $parent, path, $div, $nameInput, $possibleValuesSelect,
+                $possibleValuesDiv, $checkboxPossibleValues,
+                $possibleValuesLabel, $typeSelect, $labelInput,
+                $possibleValueInput, $addPossibleValueButton,
+                $deletePossibleValueButton, $editedInput, $addFieldButton,
+                $label, formTitle;
+
+            /*!
+             * nameAlreadyExists
+             * A function that determines whether the given name already exists
+             * in a field under the path in which the user tries to create a new
+             * field.
+             *
+             * @name nameAlreadyExists
+             * @function
+             * @param {String} name The name of the field to search for.
+             * @return {Boolean} True if the name already exists, false
+             * otherwise.
+             */
+            function nameAlreadyExists(name) {
+                // If the field editor is not in a table (or, with other words,
+                // it is in an object).
+                if (!$parent.is("table")) {
+                    // Obtain the data at the path where the new field is
+                    // created.
+                    var data = self.getData(path, $parent);
+
+                    // Return true if the given name is already in the data,
+                    // otherwise return false.
+                    return Object.keys(data).indexOf(name) > -1;
+                }
+                var def = self.getDefinitionAtPath(path);
+                // Handle empty schemas (arrays without any fields).
+                if (hasEmptySchema(def)) {
+                    return false;
+                }
+                var sch = def.schema;
+                // If the schema `sch` contains a single field
+                if (typeof sch.type === "string") {
+                    return name === (sch.name ||
+                            settings.defaultArrayFieldName);
+                }
+                // else if `sch` contains multiple fields
+                return sch[settings.orderProperty].indexOf(name) > -1;
+            }
+
+            $parent = options.parent && options.parent.length > 0 ?
+                options.parent : self.container;
+            path = $parent.attr("data-json-editor-path") || "";
+
+            $div = $("<div>", {
+                class: "json-editor-" + (options.newFields ? "new" : "edit") +
+                    "-field-form"
+            });
+
+            $nameInput = $("<input>", {
+                type: "text",
+                class: "json-editor-field-name",
+                on: {
+                    // The error about the name is hidden when it is changed.
+                    input: function () {
+                        $(this).nextAll(".json-editor-message").remove();
+                    }
+                }
+            });
+
+            $possibleValuesSelect = $("<select>", {
+                multiple: "multiple",
+                class: "json-editor-field-possible-values"
+            });
+
+            $possibleValuesDiv = $("<div>", {
+                css: {
+                    display: "none"
+                },
+                class: "json-editor-possible-values-section"
+            });
+
+            $checkboxPossibleValues = $("<input>", {
+                type: "checkbox",
+                on: {
+                    change: function (e) {
+                        $possibleValuesDiv.toggle(this.checked);
+                    }
+                },
+                class: "json-editor-field-enable-possible-values"
+            });
+
+            $possibleValuesLabel = $("<label>")
+                .text("Enable possible values: ")
+                .append($checkboxPossibleValues);
+
+            // This jQuery element is the <select> (combo box) input inside the
+            // field editor with which the end user selects the type of the
+            // created/edited (see the `options.newFields` variable) field.
+            $typeSelect = $("<select>", {
+                on: {
+                    change: function () {
+                        var type = $(this).val();
+                        if (type === "object" || type === "array") {
+                            // A field of type "object" or "array" (so all the
+                            // types that are not elementary) cannot have possible
+                            // values, so we show the possible values controls
+                            // only for fields of type different than "object"
+                            // and "array", elementary types (date, string etc.).
+                            $possibleValuesLabel.add($possibleValuesDiv).hide();
+                        } else {
+                            // Create a new input for the newly selected field
+                            // type from `$typeSelect`.
+                            var $clone = self.inputs[type].clone()
+                                .attr("data-json-editor-type", type);
+                            // Replace the `$possibleValueInput` input with the
+                            // newly created input.
+                            $possibleValueInput.replaceWith($clone);
+                            $possibleValueInput = $clone;
+                            // Set the default value for the selected type to
+                            // the newly created input.
+                            self.setValueToElement($possibleValueInput,
+                                    getDefaultValueForType(type));
+                            // Clear the list of possible values entered by the
+                            // user (it wouldn't make sense to keep them since
+                            // the type of the possible values has been
+                            // changed).
+                            $possibleValuesSelect.empty();
+
+                            // A field of type "object" or "array" cannot have
+                            // possible values, so we show the possible values
+                            // controls only for fields of type different than
+                            // "object" and "array", for fields of elementary
+                            // types.
+                            $possibleValuesLabel.show();
+                            $possibleValuesDiv.toggle($checkboxPossibleValues
+                                    .is(":checked"));
+                        }
+                    }
+                },
+                class: "json-editor-field-type"
+            });
+            for (var i = 0; i < knownElementaryFieldTypes.length; i++) {
+                $typeSelect.append($("<option>", {
+                    value: knownElementaryFieldTypes[i],
+                    text: knownElementaryFieldTypes[i]
+                }));
+            }
+            $typeSelect.append($("<option>", {
+                value: "object",
+                text: "object"
+            }), $("<option>", {
+                value: "array",
+                text: "array"
+            }));
+
+            $labelInput = $("<input>", {
+                type: "text",
+                class: "json-editor-field-label"
+            });
+
+            $possibleValueInput = $("<input>", {
+            });
+
+            $addPossibleValueButton = $("<input>", {
+                type: "button",
+                value: "+ Add possible value",
+                class: "json-editor-add-possible-value-button",
+                on: {
+                    click: function () {
+                        var val = self.getValueFromElement($possibleValueInput);
+                        var text = self.converters.string(val);
+                        // See the explanation in the `createGroup` method,
+                        // `field.possible` if branch, for the reason why we do
+                        // not use `self.converters.string` for the `value`
+                        // attribute of the `<option>` element.
+                        $possibleValuesSelect.append($("<option>", {
+                            value: val.toString(),
+                            text: text
+                        }));
+                    }
+                }
+            });
+
+            $deletePossibleValueButton = $("<input>", {
+                type: "button",
+                value: "× Delete selected possible values",
+                class: "json-editor-delete-possible-value-button",
+                on: {
+                    click: function () {
+                        $possibleValuesSelect.children("option:selected").remove();
+                    }
+                }
+            });
+
+            $addFieldButton = $("<input>", {
+                type: "button",
+                value: (options.newFields ? "+ Add" : "💾 Save") + " field",
+                class: "json-editor-add-field-button",
+                on: {
+                    click: function () {
+                        var name, label, type, inTable, newFieldDef,
+                            definition, sch, oldPath, oldValue, newPath,
+                            saved = false;
+
+                        // Remove the whitespace around the name. Any other
+                        // character is allowed because the names are escaped
+                        // in the field paths.
+                        $nameInput.val($nameInput.val().trim());
+                        // Remove the whitespace around the label.
+                        $labelInput.val($labelInput.val().trim());
+
+                        name = $nameInput.val();
+                        // The default label is the name of the field.
+                        label = $labelInput.val() || name;
+
+                        // Validate the name. It should not be a duplicate and
+                        // not an empty string.
+                        if (name.length === 0 || nameAlreadyExists(name)) {
+                            showMessage("error", "INVALID_FIELD_NAME", path,
+                                    $nameInput);
+                            return;
+                        }
+                        $nameInput.nextAll(".json-editor-message").remove();
+
+                        type = $typeSelect.val();
+                        inTable = $parent.is("table");
+                        // The path of the new or edited field, used in the
+                        // events triggered below.
+                        newPath = (path ? path + "." : "") + encodeKey(name);
+                        if (!options.newFields) {
+                            oldPath = $editedInput.attr(
+                                    "data-json-editor-path");
+                            oldValue = self.getData(oldPath, null, null, true);
+                        }
+
+                        // Build the field definition of the new or modified
+                        // field. The branches below which save it in the
+                        // schema set `saved`, the other cases are not
+                        // supported and trigger no events.
+                        newFieldDef = {
+                            name: name,
+                            label: label,
+                            type: type,
+                            path: (path ?
+                                    path.replace(/\.\d+$/, "") + "." : "") +
+                                    encodeKey(name)
+                        };
+                        inheritField(newFieldDef, {
+                            addField: options.addFields,
+                            deletableFields: options.deletableFields,
+                            editableFields: options.editableFields,
+                            deletable: options.deletableFields,
+                            editable: options.editableFields
+                        });
+                        // Get the schema of the array/object field definition
+                        // that is the parent of the new/edited field.
+                        definition = self.getDefinitionAtPath(path);
+                        sch = definition.schema;
+
+                        // The type can be "object", "array" or an elementary
+                        // type (string, date etc.). See the
+                        // `knownElementaryFieldTypes` variable for the
+                        // elementary types.
+                        // If a field of type "object" is added or edited in a
+                        // table (a field of type "array") or in a field of type
+                        // "object" with 0, 1 or more subfields
+                        if (type === "object") {
+                            deleteAllNestedFields(newFieldDef);
+
+                            // If the field editor is inside a table (array)
+                            // with 0, 1 or more subfields and an object is
+                            // added or edited in that table
+                            if (inTable) {
+                                // If a field of type object is added or edited
+                                // inside an array (table) with a single
+                                // subfield
+                                if (typeof sch.type === "string") {
+                                    // If a new field of type "object" is
+                                    // created inside a table with a single
+                                    // subfield
+                                    if (options.newFields) {
+                                        prepareOnlyColumnForNewColumn({
+                                            parentArrayFieldDef: definition,
+                                            defaultArrayFieldName: settings.
+                                                defaultArrayFieldName,
+                                            defaultArrayFieldLabel: settings.
+                                                defaultArrayFieldLabel,
+                                            $table: $parent,
+                                            newFieldDef: newFieldDef,
+                                            orderProperty: settings.orderProperty
+                                        });
+
+                                        // Add a new column with controls (add,
+                                        // delete).
+                                        addColumnWithControls($parent);
+
+                                        addNewColumn({
+                                            $table: $parent,
+                                            newFieldDef: newFieldDef,
+                                            arrayFieldDef: definition
+                                        });
+                                        saved = true;
+                                    // Else if an existing field of type
+                                    // "object" or of another type is edited
+                                    // inside a table with a single subfield
+                                    // (which is the edited field) to become a
+                                    // field of type "object"
+                                    } else {
+                                        // TODO: Not yet implemented.
+                                    }
+                                // If a field of type "object" is added or
+                                // edited inside an array (table) with no
+                                // subfields
+                                } else if (hasEmptySchema(definition)) {
+                                    // If a new field of type "object" is
+                                    // created inside an array (table) with no
+                                    // subfields
+                                    if (options.newFields) {
+                                        // Add the new column before deleting
+                                        // the controls column because
+                                        // `deleteControlsColumn` puts the
+                                        // controls in the last column after
+                                        // removing the controls column, and
+                                        // that last column exists only after
+                                        // calling the `addNewColumn` function.
+                                        // Add the new column before updating
+                                        // the schema of the array because the
+                                        // `addNewColumn` function uses the old
+                                        // schema when calling the
+                                        // `createNewCellEditor` function.
+                                        addNewColumn({
+                                            $table: $parent,
+                                            newFieldDef: newFieldDef,
+                                            arrayFieldDef: definition
+                                        });
+
+                                        // Update the schema of the array.
+                                        definition.schema = newFieldDef;
+
+                                        deleteControlsColumn($parent);
+                                        saved = true;
+                                    // Else if an existing field of type
+                                    // "object" or of another type is edited
+                                    // inside an array (table) with no subfields
+                                    // to become a field of type "object" - an
+                                    // impossible situation
+                                    } else {
+                                        // The field editor stays open with
+                                        // the error.
+                                        showMessage("error",
+                                                "EDIT_FIELD_IN_ARRAY_WITHOUT_FIELDS",
+                                                path, $nameInput);
+                                        return;
+                                    }
+                                // If a field of type "object" is added or
+                                // edited inside an array (table) with at
+                                // least 2 subfields
+                                } else {
+                                    // If a new field of type "object" is
+                                    // created inside an array (table) with 2
+                                    // or more subfields
+                                    if (options.newFields) {
+                                        // First update the schema.
+                                        sch[settings.orderProperty].push(name);
+                                        sch[name] = newFieldDef;
+
+                                        addNewColumn({
+                                            $table: $parent,
+                                            newFieldDef: newFieldDef,
+                                            arrayFieldDef: definition
+                                        });
+                                        saved = true;
+                                    // Else if an existing field of type
+                                    // "object" is edited inside an array
+                                    // (table) with 2 or more subfields
+                                    } else {
+                                        // TODO: Not yet implemented.
+                                    }
+                                }
+                            // If the field editor is inside an object and an
+                            // object is added or edited in that object which
+                            // has 0, 1 or more subfields
+                            } else { // !inTable
+                                saveObjectOrArrayInObject({
+                                    parentSchema: sch,
+                                    orderProperty: settings.orderProperty,
+                                    newField: options.newFields,
+                                    $editedInput: $editedInput,
+                                    newFieldDef: newFieldDef,
+                                    $fieldEditorForm: $div,
+                                    latestName: name,
+                                    parentPath: path,
+                                    parentElement: $parent
+                                });
+                                saved = true;
+                            }
+                        // Else if a field of type "array" is added or edited in
+                        // a table (a field of type "array") or in a field of
+                        // type "object" with 0, 1 or more subfields
+                        } else if (type === "array") {
+                            deleteAllNestedFields(newFieldDef);
+
+                            // If the field editor is inside a table (array)
+                            // with 0, 1 or more subfields and a table is added
+                            // or edited in that table
+                            if (inTable) {
+                                // If the field editor is inside a table (array)
+                                // with a single subfield and a table is added
+                                // or edited in that table
+                                if (typeof sch.type === "string") {
+                                    // If the field editor is inside a table (array)
+                                    // with a single subfield and a table is added
+                                    // in that table
+                                    if (options.newFields) {
+                                        // TODO: Not yet implemented.
+                                    // Else if the field editor is inside a
+                                    // table (array) with a single subfield and
+                                    // that subfield is edited to become a table
+                                    // or if it already is a table, its name
+                                    // and/or label is/are edited
+                                    } else {
+                                        // TODO: Not yet implemented.
+                                    }
+                                // Else if the field editor is inside a table
+                                // (array) with no subfields and a table is
+                                // added or edited in that table
+                                } else if (hasEmptySchema(definition)) {
+                                    // If the field editor is inside a table
+                                    // (array) without any subfields and a table
+                                    // is added in that table
+                                    if (options.newFields) {
+                                        // TODO: Not yet implemented.
+                                    // Else if the field editor is inside a
+                                    // table (array) without any subfields and
+                                    // an inexistent subfield is edited to
+                                    // become a table or if it already is a
+                                    // table, its name and/or label is/are
+                                    // edited - impossible situation
+                                    } else {
+                                        // The field editor stays open with
+                                        // the error.
+                                        showMessage("error",
+                                                "EDIT_FIELD_IN_ARRAY_WITHOUT_FIELDS",
+                                                path, $nameInput);
+                                        return;
+                                    }
+                                // Else if the field editor is inside a table
+                                // (array) with at least 2 subfields and a table
+                                // is added or edited in that table
+                                } else {
+                                    // If the field editor is inside a table
+                                    // (array) with at least 2 subfields and a
+                                    // table is added in that table
+                                    if (options.newFields) {
+                                        // TODO: Not yet implemented.
+                                    // Else if the field editor is inside a
+                                    // table (array) with at least 2 subfields
+                                    // and one of its subfields is edited to
+                                    // become a table or if it already is a
+                                    // table, its name and/or label is/are
+                                    // edited
+                                    } else {
+                                        // TODO: Not yet implemented.
+                                    }
+                                }
+                            // Else if the field editor is inside an object with
+                            // 0, 1 or more subfields and a table is added or
+                            // edited in that object
+                            } else { // !inTable
+                                saveObjectOrArrayInObject({
                                     parentSchema: sch,
                                     orderProperty: settings.orderProperty,
                                     newField: options.newFields,
@@ -2009,642 +3947,2005 @@
                                     parentPath: path,
                                     parentElement: $parent
                                 });
+                                saved = true;
+                            }
+                        // Else if a field of an elementary type (not "object"
+                        // or "array") is added or edited in a table (a field of
+                        // type "array") or in a field of type "object" with 0,
+                        // 1 or more subfields
+                        } else {
+                            // If the possible values checkbox is enabled, add the
+                            // entered possible values to the field definition.
+                            if ($checkboxPossibleValues.prop("checked")) {
+                                var possibleValues = [];
+                                var converter = self.converters[newFieldDef.type];
+                                $possibleValuesSelect.children("option").each(
+                                    function (i, e) {
+                                        possibleValues.push(converter($(e).val()));
+                                    });
+                                newFieldDef.possible = possibleValues;
                             }
-                        // Else if a field of type "array" is added or edited in
-                        // a table (a field of type "array") or in a field of
-                        // type "object" with 0, 1 or more subfields
-                        } else if (type === "array") {
-                            deleteAllNestedFields(newFieldDef);
 
-                            // If the field editor is inside a table (array)
-                            // with 0, 1 or more subfields and a table is added
-                            // or edited in that table
-                            if (inTable) {
-                                // If the field editor is inside a table (array)
-                                // with a single subfield and a table is added
-                                // or edited in that table
-                                if (typeof sch.type === "string") {
-                                    // If the field editor is inside a table (array)
-                                    // with a single subfield and a table is added
-                                    // in that table
-                                    if (options.newFields) {
-                                        // TODO: Not yet implemented.
-                                    // Else if the field editor is inside a
-                                    // table (array) with a single subfield and
-                                    // that subfield is edited to become a table
-                                    // or if it already is a table, its name
-                                    // and/or label is/are edited
-                                    } else {
-                                        // TODO: Not yet implemented.
-                                    }
-                                // Else if the field editor is inside a table
-                                // (array) with no subfields and a table is
-                                // added or edited in that table
-                                } else if (hasEmptySchema(definition)) {
-                                    // If the field editor is inside a table
-                                    // (array) without any subfields and a table
-                                    // is added in that table
-                                    if (options.newFields) {
-                                        // TODO: Not yet implemented.
-                                    // Else if the field editor is inside a
-                                    // table (array) without any subfields and
-                                    // an inexistent subfield is edited to
-                                    // become a table or if it already is a
-                                    // table, its name and/or label is/are
-                                    // edited - impossible situation
-                                    } else {
-                                        alert(settings.messages.
-                                                EDIT_FIELD_IN_ARRAY_WITHOUT_FIELDS);
-                                    }
-                                // Else if the field editor is inside a table
-                                // (array) with at least 2 subfields and a table
-                                // is added or edited in that table
-                                } else {
-                                    // If the field editor is inside a table
-                                    // (array) with at least 2 subfields and a
-                                    // table is added in that table
-                                    if (options.newFields) {
-                                        // TODO: Not yet implemented.
-                                    // Else if the field editor is inside a
-                                    // table (array) with at least 2 subfields
-                                    // and one of its subfields is edited to
-                                    // become a table or if it already is a
-                                    // table, its name and/or label is/are
-                                    // edited
-                                    } else {
-                                        // TODO: Not yet implemented.
-                                    }
-                                }
-                            // Else if the field editor is inside an object with
-                            // 0, 1 or more subfields and a table is added or
-                            // edited in that object
-                            } else { // !inTable
-                                saveObjectOrArrayInObject({
-                                    parentSchema: sch,
-                                    orderProperty: settings.orderProperty,
-                                    newField: options.newFields,
-                                    $editedInput: $editedInput,
-                                    newFieldDef: newFieldDef,
-                                    $fieldEditorForm: $div,
-                                    latestName: name,
-                                    parentPath: path,
-                                    parentElement: $parent
-                                });
-                            }
-                        // Else if a field of an elementary type (not "object"
-                        // or "array") is added or edited in a table (a field of
-                        // type "array") or in a field of type "object" with 0,
-                        // 1 or more subfields
-                        } else {
-                            // If the possible values checkbox is enabled, add the
-                            // entered possible values to the field definition.
-                            if ($checkboxPossibleValues.prop("checked")) {
-                                var possibleValues = [];
-                                var converter = self.converters[newFieldDef.type];
-                                $possibleValuesSelect.children("option").each(
-                                    function (i, e) {
-                                        possibleValues.push(converter($(e).val()));
-                                    });
-                                newFieldDef.possible = possibleValues;
+                            // If a field of an elementary type (not "object" or
+                            // "array") is added or edited in a table (a field
+                            // of type "array") with 0, 1 or more subfields
+                            if (inTable) {
+                                // If a new field of an elementary type is added
+                                // in a table as a new column, the default data
+                                // of the input groups created under it should
+                                // be the default data for its type
+                                if (options.newFields) {
+                                    newFieldDef.data = getDefaultValueForType(type);
+                                // Else if a column of elementary type is edited
+                                // in a table
+                                } else {
+                                    // TODO: Not yet implemented.
+                                }
+
+                                // If a field of an elementary type (not
+                                // "object" or "array") is added or edited in a
+                                // table (a field of type "array") with exactly
+                                // one subfield
+                                if (typeof sch.type === "string") {
+                                    // If a field of an elementary type (not
+                                    // "object" or "array") is added in a table
+                                    // (a field of type "array") with exactly
+                                    // one subfield
+                                    if (options.newFields) {
+                                        prepareOnlyColumnForNewColumn({
+                                            parentArrayFieldDef: definition,
+                                            defaultArrayFieldName: settings.
+                                                defaultArrayFieldName,
+                                            defaultArrayFieldLabel: settings
+                                                .defaultArrayFieldLabel,
+                                            $table: $parent,
+                                            newFieldDef: newFieldDef,
+                                            orderProperty: settings.orderProperty
+                                        });
+
+                                        // Add a new column with controls (add,
+                                        // delete).
+                                        addColumnWithControls($parent);
+
+                                        addNewColumn({
+                                            $table: $parent,
+                                            newFieldDef: newFieldDef,
+                                            arrayFieldDef: definition
+                                        });
+                                        saved = true;
+                                    // Else if a field of an elementary type
+                                    // (not "object" or "array") is edited in a
+                                    // table (a field of type "array") with
+                                    // exactly one subfield, the edited subfield
+                                    } else {
+                                        // TODO: The only field in the table is being
+                                        // edited. Not yet implemented.
+                                    }
+                                // Else if a field of an elementary type (not
+                                // "object" or "array") is added or edited in a
+                                // table (a field of type "array") without any
+                                // subfields
+                                } else if (hasEmptySchema(definition)) {
+                                    // If a field of an elementary type (not
+                                    // "object" or "array") is added (as a new
+                                    // column) inside a table (a field of type
+                                    // "array") without any subfields (columns)
+                                    if (options.newFields) {
+                                        // Add the new column before deleting
+                                        // the controls column because
+                                        // `deleteControlsColumn` puts the
+                                        // controls in the last column after
+                                        // removing the controls column, and
+                                        // that last column exists only after
+                                        // calling the `addNewColumn` function.
+                                        // Add the new column before updating
+                                        // the schema of the array because the
+                                        // `addNewColumn` function uses the old
+                                        // schema when calling the
+                                        // `createNewCellEditor` function.
+                                        addNewColumn({
+                                            $table: $parent,
+                                            newFieldDef: newFieldDef,
+                                            arrayFieldDef: definition
+                                        });
+
+                                        // Update the schema of the array.
+                                        definition.schema = newFieldDef;
+
+                                        deleteControlsColumn($parent);
+                                        saved = true;
+                                    // Else if a field of an elementary type
+                                    // (not "object" or "array") is edited (as a
+                                    // column) inside a table (a field of type
+                                    // "array") without any subfields (columns)
+                                    // - impossible situation
+                                    } else {
+                                        // The field editor stays open with
+                                        // the error.
+                                        showMessage("error",
+                                                "EDIT_FIELD_IN_ARRAY_WITHOUT_FIELDS",
+                                                path, $nameInput);
+                                        return;
+                                    }
+                                // Else if a field of an elementary type (not
+                                // "object" or "array") is added or edited as a
+                                // column in a table (which is a field of type
+                                // "array") with 2 or more subfields
+                                } else {
+                                    // If a field of an elementary type (not
+                                    // "object" or "array") is added as a column
+                                    // in a table (which is a field of type
+                                    // "array") with 2 or more subfields
+                                    if (options.newFields) {
+                                        // First update the schema.
+                                        sch[settings.orderProperty].push(name);
+                                        sch[name] = newFieldDef;
+
+                                        addNewColumn({
+                                            $table: $parent,
+                                            newFieldDef: newFieldDef,
+                                            arrayFieldDef: definition
+                                        });
+                                        saved = true;
+                                    // Else if a field of an elementary type
+                                    // (not "object" or "array") is edited as a
+                                    // column in a table (which is a field of
+                                    // type "array") with 2 or more subfields
+                                    } else {
+                                        // TODO: Not yet implemented.
+                                    }
+                                }
+
+                            // Else if a field of an elementary type (not
+                            // "object" or "array") is added or edited in an
+                            // object (which means a field of type "object")
+                            // with 0, 1 or more subfields
+                            } else {
+                                // If a new field of an elementary type is added
+                                // in an object as a new subfield, the default
+                                // data of the input group created for it should
+                                // be the default data for its type
+                                if (options.newFields) {
+                                    newFieldDef.data = getDefaultValueForType(type);
+                                // Else if a subfield of an elementary type
+                                // inside an object is edited, do everything
+                                // possible to keep the old value
+                                } else {
+                                    // `$editedInput` is defined only when
+                                    // `options.newFields` is false or, with
+                                    // other words, when an existing field is
+                                    // edited
+                                    var _path = $editedInput
+                                        .attr("data-json-editor-path");
+                                    var oldName = self.getNameFromPath(_path);
+
+                                    // If the old field definition has the same
+                                    // type as the new field definition, keep
+                                    // the old value
+                                    // `type` is the same as `newFieldDef.type`.
+                                    if (sch[oldName].type === type) {
+                                        // Don't do anything here. Below the
+                                        // `updateAndRenameFieldData` function
+                                        // is called which sets the default data
+                                        // to the old value.
+                                    // Else, if the new field definition has a
+                                    // different type than the old field
+                                    // definition, do the same as if a new field
+                                    // would be created (instead of an existing
+                                    // field being edited)
+                                    } else {
+                                        newFieldDef.data = getDefaultValueForType(type);
+                                    }
+                                }
+
+                                var order = sch[settings.orderProperty];
+                                // In the `settings.schema` variable store the
+                                // field definition without the (default) data
+                                var newFieldDefWithoutData = $.extend(true, {},
+                                        newFieldDef);
+                                delete newFieldDefWithoutData.data;
+
+                                // If a field of an elementary type (not
+                                // "object" or "array") is added in an object (a
+                                // field of type "object") with 0, 1 or more
+                                // subfields
+                                if (options.newFields) {
+                                    order.push(name);
+                                // Else if a field is edited to become a field
+                                // of an elementary type (not "object" or
+                                // "array") inside an object (a field of type
+                                // "object") with 0, 1 or more subfields
+                                } else {
+                                    // `$editedInput` is defined only when
+                                    // `options.newFields` is false or, with
+                                    // other words, when an existing field is
+                                    // edited
+                                    var _path = $editedInput
+                                        .attr("data-json-editor-path");
+                                    var oldName = self.getNameFromPath(_path);
+
+                                    delete sch[oldName];
+                                    order[order.indexOf(oldName)] = name;
+                                    updateAndRenameFieldData(_path, name);
+                                }
+                                sch[name] = newFieldDefWithoutData;
+                                saved = true;
+
+                                // If the path of the parent field is a table
+                                // column, make the same changes in all the
+                                // cells under that column
+                                if (fieldPathIsTableColumn(path)) {
+                                    createUIOfSubfieldInObjectColumn($parent,
+                                            newFieldDef);
+                                } else {
+                                    // Create and show the UI for the field
+                                    // definition and add it before the field
+                                    // editor
+                                    $div.before(self.createGroup(newFieldDef));
+                                }
+                            }
+                        }
+
+                        // If this editor does not create new fields (it just
+                        // edits an existing field), after the UI is created
+                        // above, remove the field editor and the old field UI
+                        // from the document.
+                        if (!options.newFields) {
+                            // `$editedInput` is defined only when
+                            // `options.newFields` is false or, with
+                            // other words, when an existing field is
+                            // edited
+                            var _path = $editedInput
+                                .attr("data-json-editor-path");
+                            var oldName = self.getNameFromPath(_path);
+
+                            if (fieldPathIsUnderTableColumn(_path)) {
+                                deleteUIOfSubfieldInObjectColumn(options.
+                                        editedGroup);
+                            } else {
+                                options.editedGroup.remove();
+                            }
+                            $div.remove();
+
+                            // The column headers of the tables have no edit
+                            // button, so the edited field is in an object
+                            // (which can be in a table column of type
+                            // "object").
+                            if (saved) {
+                                if (name !== oldName) {
+                                    emit("fieldrename", {
+                                        path: newPath,
+                                        oldPath: oldPath,
+                                        oldValue: oldValue,
+                                        newValue: self.getData(newPath)
+                                    });
+                                } else if (getComparableValue(oldValue) !==
+                                        getComparableValue(self.getData(
+                                                newPath))) {
+                                    emit("change", {
+                                        path: newPath,
+                                        oldValue: oldValue,
+                                        newValue: self.getData(newPath)
+                                    });
+                                }
+                            }
+                            return;
+                        }
+
+                        // Adding columns of type "array" to the tables is not
+                        // supported, so the event is triggered only if the
+                        // field was added. The value of a new column is its
+                        // value in each row.
+                        if (saved) {
+                            emit("fieldadd", {
+                                path: newPath,
+                                oldValue: undefined,
+                                newValue: inTable ?
+                                    getDefaultValueForType(type) :
+                                    self.getData(newPath)
+                            });
+                        }
+
+                        // If this editor creates new fields, it should not be
+                        // removed from the UI after submitting, so we reset its
+                        // values to the default ones.
+                        $nameInput.add($labelInput, $typeSelect,
+                                $possibleValueInput).val(null);
+                        $possibleValuesSelect.empty();
+                        $checkboxPossibleValues.prop("checked", false)
+                            .trigger("change");
+                        $typeSelect.trigger("change");
+                    }
+                }
+            });
+
+            // Call this handler to update the possible value input to the
+            // correct type and to clear the possible values list before the
+            // possible values from the old schema are inserted in it below.
+            $typeSelect.trigger("change");
+
+            // If this condition is met, `options.editedGroup` is a valid jQuery
+            // element.
+            if (!options.newFields) {
+                var fieldPath, oldDef;
+
+                // If the edited group's jQuery element has the attribute
+                // "data-json-editor-path" set, it is the UI of a field with the
+                // type "object", so the edited input jQuery element is that
+                // jQuery element. If that attribute is not set, it is the UI of
+                // a field with a type different than "object", so the edited
+                // input jQuery element is the descendant of the edited group's
+                // jQuery element with that attribute set.
+                var isObject = typeof options.editedGroup
+                    .attr("data-json-editor-path") !== "undefined";
+                if (isObject) {
+                    $editedInput = options.editedGroup;
+                } else {
+                    $editedInput = options.editedGroup
+                        .find("[data-json-editor-path]");
+                }
+
+                fieldPath = $editedInput.attr("data-json-editor-path");
+                oldDef = self.getDefinitionAtPath(fieldPath);
+
+                $typeSelect.val(oldDef.type)
+                    .trigger("change");
+                $nameInput.val(oldDef.name);
+                $labelInput.val(oldDef.label);
+                if (isObject && oldDef.possible) {
+                    $checkboxPossibleValues.prop("checked", true)
+                        .trigger("change");
+                    for (var i = 0; i < oldDef.possible.length; i++) {
+                        var val = oldDef.possible[i];
+                        var text = self.converters.string(val);
+                        // See the explanation in the `createGroup` method,
+                        // `field.possible` if branch, for the reason why we do
+                        // not use `self.converters.string` for the `value`
+                        // attribute of the `<option>` element.
+                        $possibleValuesSelect.append($("<option>", {
+                            value: val.toString(),
+                            text: text
+                        }));
+                    }
+                }
+            }
+
+            $label = $("<label>");
+            if (!$parent.is("table")) {
+                $label.append($("<hr>"));
+            }
+            formTitle = (options.newFields ? "Add" : "Edit") + " field";
+            $div.append($("<form>").append($label.append(
+                    $("<strong>").text(formTitle),
+                    $("<br>"),
+                    $("<label>").text("Name: ").append($nameInput),
+                    $("<label>").text("Type: ").append($typeSelect),
+                    $("<label>")
+                        .text("Label (optional, without final semicolon): ")
+                        .append($labelInput),
+                    $("<br>"),
+                    $possibleValuesLabel,
+                    $possibleValuesDiv.append($possibleValuesSelect,
+                        $possibleValueInput, $addPossibleValueButton,
+                        $deletePossibleValueButton),
+                    $addFieldButton)));
+
+            // If this is an editor for an existing field,
+            if (!options.newFields) {
+                // also show a Cancel button.
+                $label.append($("<input>", {
+                    type: "button",
+                    value: "Cancel",
+                    on: {
+                        click: function () {
+                            // There is an edited field which should be marked
+                            // as not being edited anymore.
+                            $editedInput.removeClass("json-editor-edited");
+                            // Delete the field editor from the document.
+                            $div.remove();
+                        }
+                    }
+                }));
+            }
+
+            return $div;
+        }
+
+        /*!
+         * setValueAtPath
+         * Sets the value of the field at `fieldPath` path in the
+         * `settings.data` variable.
+         *
+         * @name setValueAtPath
+         * @function
+         * @param {String} fieldPath The path at which to put the `value`.
+         * @param {Object} value The value to put at `fieldPath` path.
+         * @return {undefined}
+         */
+        function setValueAtPath(fieldPath, value) {
+            putValue(settings.data, fieldPath, value);
+        }
+
+        /*!
+         * renameValueAtPath
+         * Renames the value of the field at `fieldPath` path in the
+         * `settings.data` variable to the name specified in the `newName`
+         * argument. For example, if `fieldPath` is "first.second.third" and
+         * `newName` is "test", after calling this function the value that
+         * before was found at the "first.second.third" path will now be found
+         * at the path "first.second.test".
+         *
+         * @name renameValueAtPath
+         * @function
+         * @param {String} fieldPath The path at which to put the `value`.
+         * @param {Object} value The value to put at `fieldPath` path.
+         * @return {undefined}
+         */
+        function renameValueAtPath(fieldPath, newName) {
+            setValueAtPath(self.setNameInPath(fieldPath, newName),
+                    self.getValue(fieldPath));
+            deleteValueAtPath(fieldPath);
+        }
+
+        /*!
+         * deleteValueAtPath
+         * Deletes the value of the field at `fieldPath` path in the
+         * `settings.data` variable.
+         *
+         * @name deleteValueAtPath
+         * @function
+         * @param {String} fieldPath The path at which to delete the value.
+         * @return {undefined}
+         */
+        function deleteValueAtPath(fieldPath) {
+            deleteValue(settings.data, fieldPath);
+        }
+
+        /*!
+         * deleteUIOfSubfieldInObjectColumn
+         * Deletes the UI (the label, the input element and the Delete field and
+         * Edit field buttons) of a field inside the objects under a column of
+         * type "object", reflecting the change in all the objects under that
+         * column.
+         *
+         * @name deleteUIOfSubfieldInObjectColumn
+         * @function
+         * @param {jQuery} $group The input group element of a field instance
+         * under a column of type "object".
+         * @return {undefined}
+         */
+        function deleteUIOfSubfieldInObjectColumn($group) {
+            var groupPath = $group.attr("data-json-editor-path") || $group.
+                find("[data-json-editor-path]:first")
+                .attr("data-json-editor-path");
+            // Get the index of the column in which we should delete the field
+            // in each of the cells inside that column
+            var index = $group.closest("td").index();
+            var $td, $tr, path, parts, $e;
+            // Get the parent <table> element in which we will update the
+            // contents of the column in which we should delete the field in
+            // each of the rows in the table body and table footer
+            var $table = $group.closest("table");
+
+            // For each row in the table body
+            $table.children("tbody")
+                    .children("tr").each(function (i, tr) {
+                $tr = $(tr);
+
+                // Get the cell in the column in which the field should be
+                // deleted in the current row `tr`
+                $td = $tr.children().eq(index);
+
+                // The path of `field` (the field which should be deleted under
+                // all the cells under its column) is similar to
+                // "arrayTable.0.columnName.columnSubfield", it is a path to a
+                // subfield inside a table column (which is the same as an array
+                // direct subfield, child field) of type "object". We copy its
+                // path and change the copy to refer to field instance inside
+                // the current row.
+                path = updateDeepestRowIndexInFieldPath(
+                        groupPath, i.toString());
+
+                // Inside this cell delete the field UI of the field definition
+                // `field` at the field path `path`
+                $e =
+                    $td.find("[data-json-editor-path=\"" +
+                        path + "\"]");
+                $e = closestWithFilter($e, function ($el) {
+                    return $el.siblings(
+                            ".json-editor-new-field-form:first").
+                        length > 0;
+                });
+                // This condition should always be met
+                if ($e) {
+                    $e.remove();
+                }
+            });
+            // Do the same in the table footer where there is a single row
+            $tr = $table.children("tfoot:first").children(
+                    "tr:first");
+            $td = $tr.children().eq(index);
+
+            path = updateDeepestRowIndexInFieldPath(
+                    groupPath, "+");
+
+            $e = $td.find("[data-json-editor-path=\"" +
+                    path + "\"]");
+            $e = closestWithFilter($e, function ($el) {
+                return $el.siblings(
+                        ".json-editor-new-field-form:first").
+                    length > 0;
+            });
+            // This condition should always be met
+            if ($e) {
+                $e.remove();
+            }
+        }
+
+        /*!
+         * createUIOfSubfieldInObjectColumn
+         * Creates the input groups (which are the UI for a field definition) of a
+         * field inside a column of type "object". This means creating an
+         * instance of the input group in each row in the table body and in the
+         * table footer inside the column in which the given `$parent` is found.
+         *
+         * @name createUIOfSubfieldInObjectColumn
+         * @function
+         * @param {jQuery} $parent The UI of one of the parent objects inside
+         * the column of type "object" in which the UI of the new field
+         * definition should be inserted. This is the parent element of the new
+         * field form with which the `newFieldDef` field definition was created.
+         * @param {Object} newFieldDef The field definition object of the new
+         * field which should be added in each row under the column of
+         * `$parent`.
+         * @return {undefined}
+         */
+        function createUIOfSubfieldInObjectColumn($parent, newFieldDef) {
+            // Get the parent <table> element in which we will update the
+            // contents of the column in which we should insert the
+            // `newFieldDef` field definition in each of the rows in the table
+            // body and table footer
+            var $table = $parent.closest("table");
+            // Get the index of the column in which we should add the
+            // `newFieldDef` field definition in each of the cells inside that
+            // column
+            var columnIndex = $parent.closest("td").index();
+            var $tr, $td, def, parts;
+
+            // For each row in the table body
+            $table.children("tbody")
+                .children("tr").each(function (i, tr) {
+                $tr = $(tr);
+
+                // Get the cell in the `newFieldDef`'s column (which is the
+                // `sch[name]` column) in the current row `tr`
+                $td = $tr.children().eq(columnIndex);
+
+                // The path of `newFieldDef` is similar to
+                // "arrayTable.0.columnName.columnSubfield", it is a path to a
+                // subfield inside a table column (which is the same as an array
+                // direct subfield, child field) of type "object".  We clone
+                // `newFieldDef` and change its path to refer to the current
+                // row. `def` will be the definition of an item inside the
+                // column, not of the column itself.
+                def = $.extend(true, {}, newFieldDef);
+                def.path = updateDeepestRowIndexInFieldPath(
+                        def.path, i.toString());
+
+                // Inside this cell create, insert and show the UI of the `def`
+                // field definition just before the field editor
+                $td.find(".json-editor-new-field-form:first").
+                    before(self.createGroup(def));
+            });
+            // Do the same in the table footer where there is a single row
+            $tr = $table.children("tfoot:first")
+                .children("tr:first");
+            $td = $tr.children().eq(columnIndex);
+
+            def = $.extend(true, {}, newFieldDef);
+            def.path = updateDeepestRowIndexInFieldPath(
+                        def.path, "+");
+
+            $td.find(".json-editor-new-field-form:first").
+                before(self.createGroup(def));
+        }
+
+        /*!
+         * formatMessage
+         * Returns the message with the given code from `settings.messages`
+         * after replacing the `{0}` strings in it with the given argument, the
+         * `{1}` strings with the next argument and so on.
+         *
+         * @name formatMessage
+         * @function
+         * @param {String} code The code of the message (for example
+         * "REQUIRED").
+         * @param {Anything} arg Optional, the value which replaces the `{0}`
+         * strings in the message.
+         * @return {String} The formatted message.
+         */
+        function formatMessage(code, arg) {
+            var args = Array.prototype.slice.call(arguments, 1);
+            return settings.messages[code].replace(/\{(\d+)\}/g,
+                    function (match, i) {
+                return i < args.length ? args[i] : match;
+            });
+        }
+
+        /*!
+         * showMessage
+         * Shows a message next to an element of the form, replacing the
+         * message previously shown there, and passes it to the `onMessage`
+         * option. The message element receives the `json-editor-message` CSS
+         * class and a class with the level, for example
+         * `json-editor-message-error`.
+         *
+         * @name showMessage
+         * @function
+         * @param {String} level The level of the message: "error", "warning"
+         * or "info".
+         * @param {String} code The code of the message in
+         * `settings.messages`.
+         * @param {String} path The path of the field concerned by the
+         * message, whose JSON Pointer replaces the `{0}` strings in it.
+         * @param {jQuery} $anchor The element after which the message is
+         * shown.
+         * @return {undefined}
+         */
+        function showMessage(level, code, path, $anchor) {
+            var text = formatMessage(code, pathToPointer(path));
+
+            $anchor.nextAll(".json-editor-message").remove();
+            $anchor.after($("<span>", {
+                "class": "json-editor-message json-editor-message-" + level,
+                text: text
+            }));
+            if (typeof settings.onMessage === "function") {
+                settings.onMessage(level, code, text, path);
+            }
+        }
+
+        /*!
+         * getComparableValue
+         * Returns a string which is the same for equal values, used to find
+         * duplicate items in arrays with the `uniqueItems` constraint.
+         *
+         * @name getComparableValue
+         * @function
+         * @param {Anything} value The value for which to compute the string.
+         * @return {String} The string that represents the value.
+         */
+        function getComparableValue(value) {
+            var type = getTypeOf(value);
+            if (type === "date") {
+                return type + ":" + value.getTime();
+            }
+            if (type === "regexp") {
+                return type + ":" + value.toString();
+            }
+            return type + ":" + JSON.stringify(value);
+        }
+
+        /*!
+         * validateFields
+         * Validates the data of all the fields in the given schema (the schema
+         * of a field of type "object" or of an array of objects, or the root
+         * schema) and adds the found errors to the `errors` array.
+         *
+         * @name validateFields
+         * @function
+         * @param {Object} schema The schema with the field definitions.
+         * @param {Object} data The object containing the data of the fields.
+         * @param {String} path The path of the object containing the fields.
+         * @param {Object} ctx The validation context (see the
+         * `validateField` function).
+         * @return {undefined}
+         */
+        function validateFields(schema, data, path, ctx) {
+            var order = Object(schema)[settings.orderProperty] || [];
+
+            data = Object(data);
+            for (var i = 0; i < order.length; i++) {
+                var name = order[i];
+                validateField(schema[name], data[name],
+                        (path ? path + "." : "") + encodeKey(name), ctx);
+            }
+        }
+
+        /*!
+         * runCustomValidators
+         * Calls the custom validators from `settings.validators` which apply
+         * to the given field: the ones with the key being the path of the
+         * field (with or without the array indices) and the ones with the key
+         * being the type of the field. The promises of their results are
+         * added to `ctx.pending`.
+         *
+         * @name runCustomValidators
+         * @function
+         * @param {Object} def The field definition.
+         * @param {Anything} value The value of the field.
+         * @param {String} path The path of the field.
+         * @param {Object} ctx The validation context (see the
+         * `validateField` function).
+         * @return {undefined}
+         */
+        function runCustomValidators(def, value, path, ctx) {
+            var validators = settings.validators, fns = [];
+
+            /*!
+             * Converts the result of a validator (nothing or `true` if the
+             * value is valid, `false`, an error message or an array of error
+             * messages otherwise) to an array of errors.
+             */
+            function toErrors(result) {
+                if (result === false) {
+                    result = formatMessage("INVALID");
+                }
+                if (!result || result === true) {
+                    return [];
+                }
+                return $.map([].concat(result), function (message) {
+                    return {
+                        path: path,
+                        message: String(message)
+                    };
+                });
+            }
+
+            if (!validators) return;
+
+            fns = fns.concat(validators[path] || [],
+                    validators[pathToPointer(path)] || []);
+            if (typeof def.path === "string" && def.path !== path) {
+                fns = fns.concat(validators[def.path] || [],
+                        validators[pathToPointer(def.path)] || []);
+            }
+            fns = fns.concat(validators[def.type] || []);
+            // The integers are numbers too.
+            if (def.type === "integer") {
+                fns = fns.concat(validators.number || []);
+            }
+
+            $.each(fns, function (i, fn) {
+                var result;
+                try {
+                    result = fn(value, ctx.data, def);
+                } catch (e) {
+                    result = e.message;
+                }
+                ctx.pending.push(Promise.resolve(result).then(toErrors,
+                            function (e) {
+                    return toErrors(e && e.message || e);
+                }));
+            });
+        }
+
+        /*!
+         * validateField
+         * Validates a value against the constraints in the given field
+         * definition (`required`, `minimum`, `maximum`, `minLength`,
+         * `maxLength`, `pattern`, `minItems`, `maxItems` and `uniqueItems`),
+         * including the values of the nested fields, and adds the found
+         * errors to the `errors` array.
+         *
+         * @name validateField
+         * @function
+         * @param {Object} def The field definition.
+         * @param {Anything} value The value of the field.
+         * @param {String} path The path of the field.
+         * @param {Object} ctx The validation context, an object containing
+         * the following fields:
+         *
+         *  - `data` (Object): The data of the entire form, passed to the
+         *  custom validators.
+         *  - `errors` (Array): The array in which to add the errors, objects
+         *  containing the `path` of the invalid field and the error
+         *  `message`.
+         *  - `pending` (Array): The array in which to add the promises of the
+         *  arrays of errors returned by the custom validators.
+         *
+         * @return {undefined}
+         */
+        function validateField(def, value, path, ctx) {
+            var pattern, seen;
+
+            function error(code, arg) {
+                ctx.errors.push({
+                    path: path,
+                    message: formatMessage(code, arg)
+                });
+            }
+
+            if (typeof def !== "object" || def === null) return;
+
+            runCustomValidators(def, value, path, ctx);
+
+            // An empty value only breaks the `required` constraint. The null
+            // value of a nullable field is not empty.
+            if (typeof value === "undefined" || value === null ||
+                    value === "") {
+                if (def.required && !(value === null &&
+                            (def.nullable === true || def.type === "null"))) {
+                    error("REQUIRED");
+                }
+                return;
+            }
+
+            switch (def.type) {
+                case "object":
+                    validateFields(def.schema, value, path, ctx);
+                    break;
+                case "array":
+                    if (!$.isArray(value)) break;
+
+                    if (typeof def.minItems === "number" &&
+                            value.length < def.minItems) {
+                        error("MIN_ITEMS", def.minItems);
+                    }
+                    if (typeof def.maxItems === "number" &&
+                            value.length > def.maxItems) {
+                        error("MAX_ITEMS", def.maxItems);
+                    }
+                    if (def.uniqueItems) {
+                        seen = {};
+                        for (var i = 0; i < value.length; i++) {
+                            var key = getComparableValue(value[i]);
+                            if (seen[key]) {
+                                error("UNIQUE_ITEMS");
+                                break;
                             }
+                            seen[key] = true;
+                        }
+                    }
+
+                    // Validate the items. An array with a single column has
+                    // the definition of its items in the `schema` property.
+                    for (var i = 0; i < value.length; i++) {
+                        if (typeof Object(def.schema).type === "string") {
+                            validateField(def.schema, value[i], path + "." + i,
+                                    ctx);
+                        } else if (!hasEmptySchema(def)) {
+                            validateFields(def.schema, value[i], path + "." +
+                                    i, ctx);
+                        }
+                    }
+                    break;
+                case "number":
+                case "integer":
+                    if (def.type === "integer" && value % 1 !== 0) {
+                        error("INTEGER");
+                    }
+                    if (typeof def.minimum === "number" &&
+                            value < def.minimum) {
+                        error("MINIMUM", def.minimum);
+                    }
+                    if (typeof def.maximum === "number" &&
+                            value > def.maximum) {
+                        error("MAXIMUM", def.maximum);
+                    }
+                    break;
+                case "date":
+                case "datetime":
+                    if (getTypeOf(value) === "date" &&
+                            isNaN(value.getTime())) {
+                        error("INVALID");
+                    }
+                    break;
+                case "regexp":
+                    if (getTypeOf(value) !== "regexp") {
+                        error("INVALID");
+                    }
+                    break;
+                case "time":
+                case "duration":
+                    if (typeof value === "string" &&
+                            !temporalFormats[def.type].test(value)) {
+                        error("INVALID");
+                    }
+                    break;
+                case "string":
+                    if (typeof value !== "string") break;
+
+                    if (typeof def.minLength === "number" &&
+                            value.length < def.minLength) {
+                        error("MIN_LENGTH", def.minLength);
+                    }
+                    if (typeof def.maxLength === "number" &&
+                            value.length > def.maxLength) {
+                        error("MAX_LENGTH", def.maxLength);
+                    }
+                    if (typeof def.pattern !== "undefined") {
+                        pattern = def.pattern instanceof RegExp ?
+                            def.pattern : new RegExp(def.pattern);
+                        if (!pattern.test(value)) {
+                            error("PATTERN", pattern.source);
+                        }
+                    }
+                    break;
+            }
+        }
+
+        /*!
+         * showErrors
+         * Removes the error messages shown in the form and shows the given
+         * errors next to the input groups of the invalid fields. The inputs
+         * of the invalid fields receive the `invalid` CSS class.
+         *
+         * @name showErrors
+         * @function
+         * @param {Array} errors The errors to show, objects containing the
+         * `path` of the invalid field and the error `message`.
+         * @param {String} opt_path Optional, if given only the error messages
+         * of the field with this path are removed.
+         * @return {undefined}
+         */
+        function showErrors(errors, opt_path) {
+            var $errors = self.container.find(".json-editor-error"),
+                $invalid = self.container.find(
+                    "[data-json-editor-path].invalid");
+
+            if (typeof opt_path === "string") {
+                $errors = $errors.filter("[data-json-editor-error-path='" +
+                        opt_path + "']");
+                $invalid = $invalid.filter("[data-json-editor-path='" +
+                        opt_path + "']");
+            }
+            $errors.remove();
+            $invalid.removeClass("invalid");
+
+            for (var i = 0; i < errors.length; i++) {
+                var $input = $("[data-json-editor-path='" + errors[i].path +
+                        "']", self.container).first();
+                $input.addClass("invalid");
+                $input.closest(".json-editor-group").append($("<span>", {
+                    "class": "json-editor-error",
+                    "data-json-editor-error-path": errors[i].path,
+                    text: errors[i].message
+                }));
+            }
+        }
+
+        /*!
+         * validateInput
+         * Validates the value of a single input using the constraints in its
+         * field definition and the custom validators, then shows the errors
+         * next to its input group. This function is called, after a delay,
+         * while the user types in the inputs of the form. The results of
+         * older validations of the same input are ignored.
+         *
+         * @name validateInput
+         * @function
+         * @param {jQuery} $input The input element with the
+         * `data-json-editor-path` attribute set.
+         * @return {undefined}
+         */
+        function validateInput($input) {
+            var path = $input.attr("data-json-editor-path"),
+                def = self.getDefinitionAtPath(path),
+                ctx = {
+                    data: self.getData(),
+                    errors: [],
+                    pending: []
+                },
+                token = (validationTokens[path] || 0) + 1;
+
+            if (typeof def !== "object" || def === null) return;
+
+            validationTokens[path] = token;
+            validateField(def, self.getValueFromElement($input), path, ctx);
+            Promise.all(ctx.pending).then(function (results) {
+                // A newer validation of the same input has started.
+                if (validationTokens[path] !== token) return;
+                showErrors(ctx.errors.concat.apply(ctx.errors, results), path);
+            });
+        }
+
+        /*!
+         * takeSnapshot
+         * Returns a copy of the current data in the form and of the current
+         * field definitions, used by the undo/redo history.
+         *
+         * @name takeSnapshot
+         * @function
+         * @return {Object} An object containing the `data` and the `schema`.
+         */
+        function takeSnapshot() {
+            return {
+                data: self.getData(null, null, null, true),
+                schema: $.extend(true, {}, settings.schema)
+            };
+        }
+
+        /*!
+         * recordHistory
+         * Adds the state before the latest change to the undo history and
+         * clears the redo history. It is called after each change made by the
+         * user.
+         *
+         * @name recordHistory
+         * @function
+         * @return {undefined}
+         */
+        function recordHistory() {
+            if (history.current) {
+                history.undo.push(history.current);
+                if (history.undo.length > settings.historyLimit) {
+                    history.undo.shift();
+                }
+            }
+            history.redo = [];
+            history.current = takeSnapshot();
+        }
 
-                            // If a field of an elementary type (not "object" or
-                            // "array") is added or edited in a table (a field
-                            // of type "array") with 0, 1 or more subfields
-                            if (inTable) {
-                                // If a new field of an elementary type is added
-                                // in a table as a new column, the default data
-                                // of the input groups created under it should
-                                // be the default data for its type
-                                if (options.newFields) {
-                                    newFieldDef.data = getDefaultValueForType(type);
-                                // Else if a column of elementary type is edited
-                                // in a table
-                                } else {
-                                    // TODO: Not yet implemented.
-                                }
+        /*!
+         * getWidgetName
+         * Returns the name of the widget which renders the input of a field:
+         * the `widget` property of the field definition if such a widget is
+         * registered (see `$.fn.jsonEdit.registerWidget`), otherwise the
+         * default widget of the field type: "checkbox" for booleans, "date"
+         * for dates, "datetime" for dates with times, "regexp" for regular
+         * expressions, "null" for nulls, "json" for the fields of type "any"
+         * and "input" for the other types.
+         *
+         * @name getWidgetName
+         * @function
+         * @param {Object} field The field definition.
+         * @return {String} The name of the widget.
+         */
+        function getWidgetName(field) {
+            if (typeof field.widget === "string" &&
+                    JsonEdit.widgets.hasOwnProperty(field.widget)) {
+                return field.widget;
+            }
+            if (field.type === "boolean") return "checkbox";
+            if (field.type === "date") return "date";
+            if (field.type === "datetime") return "datetime";
+            if (field.type === "regexp") return "regexp";
+            if (field.type === "null") return "null";
+            if (field.type === "any") return "json";
+            return "input";
+        }
 
-                                // If a field of an elementary type (not
-                                // "object" or "array") is added or edited in a
-                                // table (a field of type "array") with exactly
-                                // one subfield
-                                if (typeof sch.type === "string") {
-                                    // If a field of an elementary type (not
-                                    // "object" or "array") is added in a table
-                                    // (a field of type "array") with exactly
-                                    // one subfield
-                                    if (options.newFields) {
-                                        prepareOnlyColumnForNewColumn({
-                                            parentArrayFieldDef: definition,
-                                            defaultArrayFieldName: settings.
-                                                defaultArrayFieldName,
-                                            defaultArrayFieldLabel: settings
-                                                .defaultArrayFieldLabel,
-                                            $table: $parent,
-                                            newFieldDef: newFieldDef,
-                                            orderProperty: settings.orderProperty
-                                        });
+        /*!
+         * getWidget
+         * Returns the widget which reads and sets the value of an input. The
+         * inputs which were not rendered by a widget (the `<select>`s of the
+         * fields with possible values and the inputs of the field editor) use
+         * the default widget of their type.
+         *
+         * @name getWidget
+         * @function
+         * @param {jQuery} $input The input element.
+         * @return {Object} The widget.
+         */
+        function getWidget($input) {
+            var name = $input.attr("data-json-editor-widget");
 
-                                        // Add a new column with controls (add,
-                                        // delete).
-                                        addColumnWithControls($parent);
+            if (typeof name !== "string" ||
+                    !JsonEdit.widgets.hasOwnProperty(name)) {
+                name = $input.is("select") ? "input" : getWidgetName({
+                    type: $input.attr("data-json-editor-type")
+                });
+            }
+            return JsonEdit.widgets[name];
+        }
 
-                                        addNewColumn({
-                                            $table: $parent,
-                                            newFieldDef: newFieldDef,
-                                            arrayFieldDef: definition
-                                        });
-                                    // Else if a field of an elementary type
-                                    // (not "object" or "array") is edited in a
-                                    // table (a field of type "array") with
-                                    // exactly one subfield, the edited subfield
-                                    } else {
-                                        // TODO: The only field in the table is being
-                                        // edited. Not yet implemented.
-                                    }
-                                // Else if a field of an elementary type (not
-                                // "object" or "array") is added or edited in a
-                                // table (a field of type "array") without any
-                                // subfields
-                                } else if (hasEmptySchema(definition)) {
-                                    // If a field of an elementary type (not
-                                    // "object" or "array") is added (as a new
-                                    // column) inside a table (a field of type
-                                    // "array") without any subfields (columns)
-                                    if (options.newFields) {
-                                        // Add the new column before deleting
-                                        // the controls column because
-                                        // `deleteControlsColumn` puts the
-                                        // controls in the last column after
-                                        // removing the controls column, and
-                                        // that last column exists only after
-                                        // calling the `addNewColumn` function.
-                                        // Add the new column before updating
-                                        // the schema of the array because the
-                                        // `addNewColumn` function uses the old
-                                        // schema when calling the
-                                        // `createNewCellEditor` function.
-                                        addNewColumn({
-                                            $table: $parent,
-                                            newFieldDef: newFieldDef,
-                                            arrayFieldDef: definition
-                                        });
+        /*!
+         * destroyWidgets
+         * Calls the `destroy` functions of the widgets of the inputs inside
+         * the given element (or of the element itself), before the element is
+         * removed.
+         *
+         * @name destroyWidgets
+         * @function
+         * @param {jQuery} $root The element which is removed.
+         * @return {undefined}
+         */
+        function destroyWidgets($root) {
+            $root.find("[data-json-editor-widget]")
+                .addBack("[data-json-editor-widget]").each(function () {
+                    var widget = getWidget($(this));
+                    if (typeof widget.destroy === "function") {
+                        widget.destroy($(this));
+                    }
+                });
+        }
 
-                                        // Update the schema of the array.
-                                        definition.schema = newFieldDef;
+        /*!
+         * rebuildUi
+         * Removes the form from the container and creates it again from the
+         * current `settings.data` and `settings.schema`.
+         *
+         * @name rebuildUi
+         * @function
+         * @return {undefined}
+         */
+        function rebuildUi() {
+            destroyWidgets(self.container.children(".json-editor-group"));
+            self.container.children(".json-editor-group").remove();
+            self.initUi();
 
-                                        deleteControlsColumn($parent);
-                                    // Else if a field of an elementary type
-                                    // (not "object" or "array") is edited (as a
-                                    // column) inside a table (a field of type
-                                    // "array") without any subfields (columns)
-                                    // - impossible situation
-                                    } else {
-                                        alert(settings.messages.
-                                                EDIT_FIELD_IN_ARRAY_WITHOUT_FIELDS);
-                                    }
-                                // Else if a field of an elementary type (not
-                                // "object" or "array") is added or edited as a
-                                // column in a table (which is a field of type
-                                // "array") with 2 or more subfields
-                                } else {
-                                    // If a field of an elementary type (not
-                                    // "object" or "array") is added as a column
-                                    // in a table (which is a field of type
-                                    // "array") with 2 or more subfields
-                                    if (options.newFields) {
-                                        // First update the schema.
-                                        sch[settings.orderProperty].push(name);
-                                        sch[name] = newFieldDef;
+            // In the raw JSON mode the new form stays hidden and the text is
+            // updated.
+            if ($raw) {
+                self.container.children(".json-editor-group").hide();
+                $raw.children("textarea").val(stringifyData());
+                $raw.children(".json-editor-error").remove();
+            }
+        }
 
-                                        addNewColumn({
-                                            $table: $parent,
-                                            newFieldDef: newFieldDef,
-                                            arrayFieldDef: definition
-                                        });
-                                    // Else if a field of an elementary type
-                                    // (not "object" or "array") is edited as a
-                                    // column in a table (which is a field of
-                                    // type "array") with 2 or more subfields
-                                    } else {
-                                        // TODO: Not yet implemented.
-                                    }
-                                }
+        /*!
+         * restoreSnapshot
+         * Replaces the data and the field definitions with the ones in the
+         * given snapshot (see `takeSnapshot`) and rebuilds the form.
+         *
+         * @name restoreSnapshot
+         * @function
+         * @param {Object} snapshot The snapshot to restore.
+         * @return {undefined}
+         */
+        function restoreSnapshot(snapshot) {
+            settings.data = $.extend(true, {}, snapshot.data);
+            settings.schema = $.extend(true, {}, snapshot.schema);
+            history.current = snapshot;
+            rebuildUi();
+        }
 
-                            // Else if a field of an elementary type (not
-                            // "object" or "array") is added or edited in an
-                            // object (which means a field of type "object")
-                            // with 0, 1 or more subfields
-                            } else {
-                                // If a new field of an elementary type is added
-                                // in an object as a new subfield, the default
-                                // data of the input group created for it should
-                                // be the default data for its type
-                                if (options.newFields) {
-                                    newFieldDef.data = getDefaultValueForType(type);
-                                // Else if a subfield of an elementary type
-                                // inside an object is edited, do everything
-                                // possible to keep the old value
-                                } else {
-                                    // `$editedInput` is defined only when
-                                    // `options.newFields` is false or, with
-                                    // other words, when an existing field is
-                                    // edited
-                                    var _path = $editedInput
-                                        .attr("data-json-editor-path");
-                                    var oldName = self.getNameFromPath(_path);
+        /*!
+         * updateDirtyClasses
+         * Adds the `json-editor-dirty` class to the input groups of the fields
+         * whose values are different than the original ones (see
+         * `getDirtyPaths`) and removes it from the other groups. When a field
+         * or an array item was removed, the group of its parent is marked.
+         *
+         * @name updateDirtyClasses
+         * @function
+         * @return {undefined}
+         */
+        function updateDirtyClasses() {
+            self.container.find(".json-editor-dirty")
+                .removeClass("json-editor-dirty");
+
+            $.each(self.getDirtyPaths(), function (i, path) {
+                var $input = $();
+
+                while ($input.length === 0) {
+                    $input = $("[data-json-editor-path='" + path + "']",
+                            self.container);
+                    if (path === "") break;
+                    path = path.substring(0, Math.max(path.lastIndexOf("."),
+                                0));
+                }
+                $input.closest(".json-editor-group")
+                    .addClass("json-editor-dirty");
+            });
+        }
 
-                                    // If the old field definition has the same
-                                    // type as the new field definition, keep
-                                    // the old value
-                                    // `type` is the same as `newFieldDef.type`.
-                                    if (sch[oldName].type === type) {
-                                        // Don't do anything here. Below the
-                                        // `updateAndRenameFieldData` function
-                                        // is called which sets the default data
-                                        // to the old value.
-                                    // Else, if the new field definition has a
-                                    // different type than the old field
-                                    // definition, do the same as if a new field
-                                    // would be created (instead of an existing
-                                    // field being edited)
-                                    } else {
-                                        newFieldDef.data = getDefaultValueForType(type);
-                                    }
-                                }
+        /*!
+         * encodeValues
+         * Returns a copy of `value` in which the values of the types which
+         * have a serializer in `self.serializers` (by default the dates and
+         * the regular expressions) are replaced with their encoded JSON
+         * values. The serializers receive the definitions of the fields, so
+         * that for example the dates of the fields of type "date" are encoded
+         * without the time.
+         *
+         * @name encodeValues
+         * @function
+         * @param {Anything} value The value to encode.
+         * @param {Object} def Optional, the field definition describing the
+         * value.
+         * @return {Anything} The encoded value.
+         */
+        function encodeValues(value, def) {
+            var type = getTypeOf(value), itemDef, out;
 
-                                var order = sch[settings.orderProperty];
-                                // In the `settings.schema` variable store the
-                                // field definition without the (default) data
-                                var newFieldDefWithoutData = $.extend(true, {},
-                                        newFieldDef);
-                                delete newFieldDefWithoutData.data;
+            if (self.serializers.hasOwnProperty(type)) {
+                return self.serializers[type].encode(value, def);
+            }
+            if (type === "array") {
+                // The items of the arrays with a single column are described
+                // directly by the `schema` property.
+                if (def && def.type === "array" && def.schema) {
+                    itemDef = typeof def.schema.type === "string" ?
+                        def.schema : {
+                            type: "object",
+                            schema: def.schema
+                        };
+                }
+                return $.map(value, function (item) {
+                    return [encodeValues(item, itemDef)];
+                });
+            }
+            if (type === "object") {
+                out = {};
+                for (var k in value) {
+                    if (value.hasOwnProperty(k)) {
+                        out[k] = encodeValues(value[k], def &&
+                                def.type !== "array" &&
+                                getTypeOf(def.schema) === "object" &&
+                                def.schema.hasOwnProperty(k) ?
+                                def.schema[k] : undefined);
+                    }
+                }
+                return out;
+            }
+            return value;
+        }
+
+        /*!
+         * stringifyData
+         * Returns the data of the form as indented JSON text, shown in the raw
+         * JSON mode. The dates and the regular expressions are encoded with
+         * `self.serializers`.
+         *
+         * @name stringifyData
+         * @function
+         * @return {String} The JSON text.
+         */
+        function stringifyData() {
+            return JSON.stringify(encodeValues(self.getData(null, null, null,
+                            true), self.getDefinitionAtPath("")), null, 2);
+        }
+
+        /*!
+         * reviveValues
+         * Decodes the JSON values in the data parsed from the raw JSON text
+         * or given in the `data` option with the serializers of the types of
+         * their fields, for example the strings in the fields of type "date"
+         * and "regexp". If the `serialize` option is set, the values which
+         * are not described by the schema are decoded by the serializers
+         * which detect them.
+         *
+         * @name reviveValues
+         * @function
+         * @param {Object} def The field definition describing the value.
+         * @param {Anything} value The value to convert.
+         * @return {Anything} The converted value.
+         */
+        function reviveValues(def, value) {
+            var itemDef, serializer;
+
+            if (!def || !def.type || def.type === "any") {
+                if (!settings.serialize) return value;
+
+                for (var type in self.serializers) {
+                    serializer = self.serializers[type];
+                    if (self.serializers.hasOwnProperty(type) &&
+                            getTypeOf(value) !== type &&
+                            typeof serializer.detect === "function" &&
+                            serializer.detect(value)) {
+                        return serializer.decode(value);
+                    }
+                }
+                if ($.isArray(value)) {
+                    return $.map(value, function (item) {
+                        return [reviveValues(undefined, item)];
+                    });
+                }
+                if (getTypeOf(value) === "object") {
+                    for (var k in value) {
+                        if (value.hasOwnProperty(k)) {
+                            value[k] = reviveValues(undefined, value[k]);
+                        }
+                    }
+                }
+                return value;
+            }
+
+            switch (def.type) {
+                case "array":
+                    if (!$.isArray(value)) return value;
+                    // The items of the arrays with a single column are
+                    // described directly by the `schema` property.
+                    itemDef = typeof Object(def.schema).type === "string" ?
+                        def.schema : {
+                            type: "object",
+                            schema: def.schema
+                        };
+                    return $.map(value, function (item) {
+                        return [reviveValues(itemDef, item)];
+                    });
+                case "object":
+                    if (getTypeOf(value) !== "object") return value;
+                    for (var k in value) {
+                        if (value.hasOwnProperty(k)) {
+                            value[k] = reviveValues(def.schema &&
+                                    def.schema.hasOwnProperty(k) ?
+                                    def.schema[k] : undefined, value[k]);
+                        }
+                    }
+                    return value;
+                default:
+                    // The values of the fields of type "datetime" are dates
+                    // too.
+                    serializer = self.serializers[def.type === "datetime" ?
+                        "date" : def.type];
+                    // The values which are already decoded (for example the
+                    // dates given in the `data` option) are kept.
+                    return serializer && value !== null &&
+                        !isValueOfType(value, def.type) ?
+                        serializer.decode(value, def) : value;
+            }
+        }
+
+        /*!
+         * syncFieldDefinitions
+         * Makes the field definitions of the objects in `schema` match the
+         * data edited in the raw JSON mode: the definitions of the fields
+         * missing in the data are detached from the schema and the names of
+         * the new fields (added to the schema by `mergeRecursive`) are added
+         * at the end of the order of the fields. The detached definitions are
+         * kept in `detachedFields`, by the path of their object, and attached
+         * again when their fields are added back, so their labels and the
+         * other metadata are not lost. The columns of the tables are not
+         * deleted.
+         *
+         * @name syncFieldDefinitions
+         * @function
+         * @param {Object} schema The schema of an object.
+         * @param {Object} data The data of the object.
+         * @param {String} path Optional, the path of the object. If not
+         * given, the object is the root object.
+         * @return {undefined}
+         */
+        function syncFieldDefinitions(schema, data, path) {
+            var order = schema[settings.orderProperty], detached;
+
+            if (getTypeOf(data) !== "object" || !$.isArray(order)) return;
+
+            path = path || "";
+            detached = detachedFields[path] = detachedFields[path] || {};
+
+            for (var i = order.length - 1; i >= 0; i--) {
+                if (!data.hasOwnProperty(order[i])) {
+                    detached[order[i]] = schema[order[i]];
+                    delete schema[order[i]];
+                    order.splice(i, 1);
+                }
+            }
 
-                                // If a field of an elementary type (not
-                                // "object" or "array") is added in an object (a
-                                // field of type "object") with 0, 1 or more
-                                // subfields
-                                if (options.newFields) {
-                                    order.push(name);
-                                // Else if a field is edited to become a field
-                                // of an elementary type (not "object" or
-                                // "array") inside an object (a field of type
-                                // "object") with 0, 1 or more subfields
-                                } else {
-                                    // `$editedInput` is defined only when
-                                    // `options.newFields` is false or, with
-                                    // other words, when an existing field is
-                                    // edited
-                                    var _path = $editedInput
-                                        .attr("data-json-editor-path");
-                                    var oldName = self.getNameFromPath(_path);
+            for (var k in detached) {
+                if (detached.hasOwnProperty(k) && data.hasOwnProperty(k) &&
+                        !schema.hasOwnProperty(k)) {
+                    schema[k] = detached[k];
+                    delete detached[k];
+                }
+            }
 
-                                    delete sch[oldName];
-                                    order[order.indexOf(oldName)] = name;
-                                    updateAndRenameFieldData(_path, name);
-                                }
-                                sch[name] = newFieldDefWithoutData;
+            for (var k in schema) {
+                if (!schema.hasOwnProperty(k) ||
+                        k === settings.orderProperty) {
+                    continue;
+                }
+                if (order.indexOf(k) === -1) {
+                    order.push(k);
+                }
+                if (schema[k].type === "object" &&
+                        getTypeOf(schema[k].schema) === "object") {
+                    syncFieldDefinitions(schema[k].schema, data[k],
+                            (path ? path + "." : "") + encodeKey(k));
+                }
+            }
+        }
 
-                                // If the path of the parent field is a table
-                                // column, make the same changes in all the
-                                // cells under that column
-                                if (fieldPathIsTableColumn(path)) {
-                                    createUIOfSubfieldInObjectColumn($parent,
-                                            newFieldDef);
-                                } else {
-                                    // Create and show the UI for the field
-                                    // definition and add it before the field
-                                    // editor
-                                    $div.before(self.createGroup(newFieldDef));
-                                }
-                            }
+        /*!
+         * addInferredFields
+         * Adds to the given schema the definitions of the fields which are
+         * found in `data` but not in the schema, with the types obtained from
+         * the data (see `sch`). The new fields are added at the end of the
+         * order of the fields.
+         *
+         * @name addInferredFields
+         * @function
+         * @param {Object} schema The schema of an object or of the items of an
+         * array of objects.
+         * @param {Object} data The data described by the schema.
+         * @return {undefined}
+         */
+        function addInferredFields(schema, data) {
+            var inferred = sch(data, null, null, null,
+                    settings.inferTemporalTypes),
+                order = schema[settings.orderProperty],
+                def;
+
+            for (var k in inferred) {
+                if (!inferred.hasOwnProperty(k)) continue;
+
+                if (!schema.hasOwnProperty(k)) {
+                    schema[k] = inferred[k];
+                    if ($.isArray(order)) {
+                        order.push(k);
+                    }
+                    continue;
+                }
+
+                def = schema[k];
+                if (def.type === "object" && getTypeOf(data[k]) === "object") {
+                    def.schema = def.schema || {};
+                    addInferredFields(def.schema, data[k]);
+                } else if (def.type === "array" &&
+                        getTypeOf(data[k]) === "array" &&
+                        typeof Object(def.schema).type !== "string") {
+                    def.schema = def.schema || {};
+                    for (var i = 0; i < data[k].length; i++) {
+                        if (getTypeOf(data[k][i]) === "object") {
+                            addInferredFields(def.schema, data[k][i]);
                         }
+                    }
+                }
+            }
+        }
 
-                        // If this editor does not create new fields (it just
-                        // edits an existing field), after the UI is created
-                        // above, remove the field editor and the old field UI
-                        // from the document.
-                        if (!options.newFields) {
-                            // `$editedInput` is defined only when
-                            // `options.newFields` is false or, with
-                            // other words, when an existing field is
-                            // edited
-                            var _path = $editedInput
-                                .attr("data-json-editor-path");
-                            var oldName = self.getNameFromPath(_path);
+        /*!
+         * deleteFieldDefinition
+         * Deletes the definition of the field at the given path from
+         * `settings.schema`, together with its name in the order of the fields
+         * of its parent. The definitions of the table columns (the paths
+         * containing array indices) are not deleted.
+         *
+         * @name deleteFieldDefinition
+         * @function
+         * @param {String} path The path of the field.
+         * @return {undefined}
+         */
+        function deleteFieldDefinition(path) {
+            var name = self.getNameFromPath(path),
+                parentDef, order;
 
-                            if (fieldPathIsUnderTableColumn(_path)) {
-                                deleteUIOfSubfieldInObjectColumn(options.
-                                        editedGroup);
-                            } else {
-                                options.editedGroup.remove();
-                            }
-                            $div.remove();
-                            return;
-                        }
+            if (/(^|\.)\d+(\.|$)/.test(path)) return;
 
-                        // If this editor creates new fields, it should not be
-                        // removed from the UI after submitting, so we reset its
-                        // values to the default ones.
-                        $nameInput.add($labelInput, $typeSelect,
-                                $possibleValueInput).val(null);
-                        $possibleValuesSelect.empty();
-                        $checkboxPossibleValues.prop("checked", false)
-                            .trigger("change");
-                        $typeSelect.trigger("change");
+            parentDef = self.getDefinitionAtPath(path.substring(0,
+                        Math.max(path.lastIndexOf("."), 0)));
+            if (!parentDef || typeof parentDef.schema !== "object" ||
+                    !parentDef.schema.hasOwnProperty(name)) {
+                return;
+            }
+
+            delete parentDef.schema[name];
+            order = parentDef.schema[settings.orderProperty];
+            if ($.isArray(order) && order.indexOf(name) !== -1) {
+                order.splice(order.indexOf(name), 1);
+            }
+        }
+
+        /*!
+         * isOptionalField
+         * Checks whether the field at the given path is an optional field
+         * which has an include checkbox in the form.
+         *
+         * @name isOptionalField
+         * @function
+         * @param {String} path The field path.
+         * @return {Boolean} `true` if the field is optional.
+         */
+        function isOptionalField(path) {
+            var state = $("[data-json-editor-path='" + path + "']",
+                    self.container).closest(".json-editor-group")
+                .data("jsonEditorField");
+
+            return !!(state && state.optional);
+        }
+
+        /*!
+         * applyOperationToUi
+         * Updates the form after a JSON Patch operation was applied to the
+         * data. Array items are added and removed as table rows, and the
+         * values of the existing fields are set in their inputs.
+         *
+         * @name applyOperationToUi
+         * @function
+         * @param {String} op The operation: "add", "remove" or "replace".
+         * @param {String} path The path of the changed location.
+         * @param {Anything} value The new value at the path.
+         * @return {Boolean} `false` if the form cannot be updated and it must
+         * be rebuilt, for example when an object field is added or removed.
+         */
+        function applyOperationToUi(op, path, value) {
+            var lastDot = path.lastIndexOf("."),
+                index = path.substring(lastDot + 1),
+                $parent = $("[data-json-editor-path='" +
+                        path.substring(0, Math.max(lastDot, 0)) + "']",
+                        self.container),
+                $rows, $input;
+
+            if (path === "") return false;
+
+            // Items added in the middle of an array are added at the end of
+            // the table and moved to their index.
+            if (lastDot !== -1 && $parent.is("table") &&
+                    $parent.attr("data-json-editor-type") === "array") {
+                $rows = $parent.children("tbody").children("tr");
+                if (op === "remove") {
+                    self.delete($rows.eq(+index));
+                    self.resetPathIndicesInTable($parent);
+                    return true;
+                }
+                if (op === "add") {
+                    self.add($parent, value);
+                    if (+index < $rows.length) {
+                        $parent.children("tbody").children("tr").last()
+                            .insertBefore($rows.eq(+index));
+                        self.resetPathIndicesInTable($parent);
                     }
+                    return true;
                 }
-            });
+            }
 
-            // Call this handler to update the possible value input to the
-            // correct type and to clear the possible values list before the
-            // possible values from the old schema are inserted in it below.
-            $typeSelect.trigger("change");
+            $input = $("[data-json-editor-path='" + path + "']",
+                    self.container);
+            // The removed optional fields are excluded.
+            if (op === "remove" && isOptionalField(path)) {
+                setIncluded($input.closest(".json-editor-group"), false);
+                return true;
+            }
+            if (op === "remove" || $input.length === 0) {
+                return false;
+            }
+            self.setData(path, value);
+            return true;
+        }
 
-            // If this condition is met, `options.editedGroup` is a valid jQuery
-            // element.
-            if (!options.newFields) {
-                var fieldPath, oldDef;
+        /*!
+         * getNodePath
+         * Returns the field path of a tree node or of a collapsible group,
+         * which is on the group element for fields of type "object" and on
+         * the table for fields of type "array".
+         *
+         * @name getNodePath
+         * @function
+         * @param {jQuery} $group The input group of the node.
+         * @return {String} The field path.
+         */
+        function getNodePath($group) {
+            if ($group.is("[data-json-editor-path]")) {
+                return $group.attr("data-json-editor-path");
+            }
+            return $group.find("table[data-json-editor-path]").first()
+                .attr("data-json-editor-path");
+        }
 
-                // If the edited group's jQuery element has the attribute
-                // "data-json-editor-path" set, it is the UI of a field with the
-                // type "object", so the edited input jQuery element is that
-                // jQuery element. If that attribute is not set, it is the UI of
-                // a field with a type different than "object", so the edited
-                // input jQuery element is the descendant of the edited group's
-                // jQuery element with that attribute set.
-                var isObject = typeof options.editedGroup
-                    .attr("data-json-editor-path") !== "undefined";
-                if (isObject) {
-                    $editedInput = options.editedGroup;
+        /*!
+         * getNodeDepth
+         * Returns the depth of a field, the number of its ancestor fields. The
+         * array indices in the path are not counted.
+         *
+         * @name getNodeDepth
+         * @function
+         * @param {String} path The field path.
+         * @return {Number} The depth of the field, 0 for the fields at the
+         * first level.
+         */
+        function getNodeDepth(path) {
+            return $.grep(path.split("."), function (segment) {
+                return segment !== "+" && !/^\d+$/.test(segment);
+            }).length - 1;
+        }
+
+        /*!
+         * isExpandedByDefault
+         * Checks whether the group of a field of type "object" or "array" is
+         * initially expanded: its remembered state if it was expanded or
+         * collapsed before, otherwise `false` if the field definition has
+         * `collapsed: true`. In the tree mode only the fields at the first
+         * level are expanded by default.
+         *
+         * @name isExpandedByDefault
+         * @function
+         * @param {Object} field The field definition.
+         * @return {Boolean} `true` if the group is initially expanded.
+         */
+        function isExpandedByDefault(field) {
+            var expanded = expandedNodes[field.path];
+
+            if (typeof expanded === "boolean") return expanded;
+            if (field.collapsed === true) return false;
+            return settings.mode !== "tree" || getNodeDepth(field.path) === 0;
+        }
+
+        /*!
+         * updateNodeCounts
+         * Updates the number of fields or items shown in the headers of the
+         * tree nodes inside the given element.
+         *
+         * @name updateNodeCounts
+         * @function
+         * @param {jQuery} $root Optional, the element containing the nodes
+         * (default: `self.container`).
+         * @return {undefined}
+         */
+        function updateNodeCounts($root) {
+            ($root || self.container).find(".json-editor-node").addBack(
+                    ".json-editor-node").each(function () {
+                var $group = $(this),
+                    $children = $group.children(".json-editor-node-children"),
+                    $table = $children.children("table"), text;
+
+                if ($table.length) {
+                    text = "[" + $table.children("tbody").children("tr")
+                        .length + "]";
                 } else {
-                    $editedInput = options.editedGroup
-                        .find("[data-json-editor-path]");
+                    text = "{" + $children.children(".json-editor-group")
+                        .length + "}";
                 }
+                $group.children(".json-editor-node-header")
+                    .children(".json-editor-node-count").text(text);
+            });
+        }
 
-                fieldPath = $editedInput.attr("data-json-editor-path");
-                oldDef = self.getDefinitionAtPath(fieldPath);
+        /*!
+         * isCollapsible
+         * Checks whether an input group is a tree node or a collapsible group
+         * (of a field of type "object" or "array"), which has its own toggle.
+         *
+         * @name isCollapsible
+         * @function
+         * @param {jQuery} $group The input group.
+         * @return {Boolean} `true` if the group can be collapsed, `false`
+         * otherwise.
+         */
+        function isCollapsible($group) {
+            return $group.length > 0 && $group.find(".json-editor-node-toggle")
+                .first().closest(".json-editor-group").is($group);
+        }
 
-                $typeSelect.val(oldDef.type)
-                    .trigger("change");
-                $nameInput.val(oldDef.name);
-                $labelInput.val(oldDef.label);
-                if (isObject && oldDef.possible) {
-                    $checkboxPossibleValues.prop("checked", true)
-                        .trigger("change");
-                    for (var i = 0; i < oldDef.possible.length; i++) {
-                        var val = oldDef.possible[i];
-                        var text = JsonEdit.converters.string(val);
-                        // See the explanation in the `createGroup` method,
-                        // `field.possible` if branch, for the reason why we do
-                        // not use `JsonEdit.converters.string` for the `value`
-                        // attribute of the `<option>` element.
-                        $possibleValuesSelect.append($("<option>", {
-                            value: val.toString(),
-                            text: text
-                        }));
-                    }
+        /*!
+         * setNodeExpanded
+         * Expands or collapses a tree node or a collapsible group and
+         * remembers its state. In the form mode the label, the toggle and the
+         * field buttons of a collapsed group stay visible. The other input
+         * groups are not changed.
+         *
+         * @name setNodeExpanded
+         * @function
+         * @param {jQuery} $group The input group of the node.
+         * @param {Boolean} expanded `true` to expand the node, `false` to
+         * collapse it.
+         * @return {undefined}
+         */
+        function setNodeExpanded($group, expanded) {
+            if (!isCollapsible($group)) return;
+
+            expandedNodes[getNodePath($group)] = expanded;
+            $group.toggleClass("json-editor-collapsed", !expanded);
+            if ($group.hasClass("json-editor-node")) {
+                $group.children(".json-editor-node-children").toggle(expanded);
+            } else {
+                $group.children().not(".json-editor-node-label, " +
+                        ".json-editor-node-toggle, .json-editor-null-toggle, " +
+                        ".json-editor-include-toggle, input[type='button']")
+                    .toggle(expanded);
+                // The fields of a null or excluded object stay hidden.
+                if ($group.data("jsonEditorField")) {
+                    updateFieldContent($group);
                 }
             }
+            $group.find(".json-editor-node-toggle").first()
+                .text(expanded ? "▾" : "▸");
+        }
 
-            $label = $("<label>");
-            if (!$parent.is("table")) {
-                $label.append($("<hr>"));
+        /*!
+         * makeCollapsible
+         * Adds a toggle to the label of the input group of a field of type
+         * "object" or "array" in the form mode. Clicking the toggle or the
+         * label collapses and expands the group.
+         *
+         * @name makeCollapsible
+         * @function
+         * @param {jQuery} $group The input group of the field.
+         * @param {jQuery} $label The label of the field.
+         * @param {Object} field The field definition.
+         * @return {undefined}
+         */
+        function makeCollapsible($group, $label, field) {
+            var $toggle = $("<span>", {
+                "class": "json-editor-node-toggle",
+                on: {
+                    click: function () {
+                        setNodeExpanded($group,
+                                $group.hasClass("json-editor-collapsed"));
+                        return false;
+                    }
+                }
+            });
+
+            $label.addClass("json-editor-node-label");
+            // The editable names are inputs, the toggle is added before them.
+            if ($label.is("input")) {
+                $label.before($toggle);
+            } else {
+                $label.prepend($toggle).on("click", function () {
+                    $toggle.click();
+                });
             }
-            formTitle = (options.newFields ? "Add" : "Edit") + " field";
-            $div.append($("<form>").append($label.append(
-                    $("<strong>").text(formTitle),
-                    $("<br>"),
-                    $("<label>").text("Name: ").append($nameInput),
-                    $("<label>").text("Type: ").append($typeSelect),
-                    $("<label>")
-                        .text("Label (optional, without final semicolon): ")
-                        .append($labelInput),
-                    $("<br>"),
-                    $possibleValuesLabel,
-                    $possibleValuesDiv.append($possibleValuesSelect,
-                        $possibleValueInput, $addPossibleValueButton,
-                        $deletePossibleValueButton),
-                    $addFieldButton)));
+            setNodeExpanded($group, isExpandedByDefault(field));
+        }
 
-            // If this is an editor for an existing field,
-            if (!options.newFields) {
-                // also show a Cancel button.
-                $label.append($("<input>", {
-                    type: "button",
-                    value: "Cancel",
-                    on: {
-                        click: function () {
-                            // There is an edited field which should be marked
-                            // as not being edited anymore.
-                            $editedInput.removeClass("json-editor-edited");
-                            // Delete the field editor from the document.
-                            $div.remove();
-                        }
+        /*!
+         * updateFieldContent
+         * Shows the input of a field (or the fields and the table of an object
+         * or array), unless the field is null, excluded (see `setIncluded`)
+         * or its group is collapsed in the form mode, in which cases it is
+         * hidden.
+         *
+         * @name updateFieldContent
+         * @function
+         * @param {jQuery} $group The input group of the field.
+         * @return {undefined}
+         */
+        function updateFieldContent($group) {
+            $group.data("jsonEditorField").$content.toggle(!$group.is(
+                        ".json-editor-null, .json-editor-excluded, " +
+                        ".json-editor-collapsed:not(.json-editor-node)"));
+        }
+
+        /*!
+         * addFieldToggle
+         * Adds a checkbox which changes the state of a field (see
+         * `setNullState` and `setIncluded`) to its input group, and
+         * remembers the element with the field path and the elements which
+         * are hidden with the checkbox.
+         *
+         * @name addFieldToggle
+         * @function
+         * @param {jQuery} $group The input group of the field.
+         * @param {jQuery|Array} $input The input of the field, or the input
+         * groups of the subfields for fields of type "object".
+         * @param {Object} field The field definition.
+         * @param {String} className The CSS class of the checkbox container.
+         * @param {String} text The text after the checkbox.
+         * @param {Function} setState The function which changes the state of
+         * the field, called with `$group` and the checked state.
+         * @return {jQuery} The checkbox container.
+         */
+        function addFieldToggle($group, $input, field, className, text,
+                setState) {
+            var $toggle = $("<span>", {
+                "class": className
+            }).append($("<input>", {
+                type: "checkbox",
+                on: {
+                    change: function () {
+                        var oldValue = $group.is(".json-editor-excluded") ?
+                            undefined : self.getData(field.path);
+
+                        setState($group, $(this).prop("checked"));
+                        emit("change", {
+                            path: field.path,
+                            oldValue: oldValue,
+                            newValue: $group.is(".json-editor-excluded") ?
+                                undefined : self.getData(field.path)
+                        });
                     }
-                }));
+                }
+            }), text);
+
+            if (!$group.data("jsonEditorField")) {
+                $group.data("jsonEditorField", {
+                    $path: field.type === "object" ? $group : $input,
+                    $content: $($.map([].concat($input), function ($e) {
+                        return $e.get();
+                    }))
+                });
             }
-
-            return $div;
+            return $toggle;
         }
 
         /*!
-         * setValueAtPath
-         * Sets the value of the field at `fieldPath` path in the
-         * `settings.data` variable.
+         * setNullState
+         * Sets a nullable field to null or back to a value of its type. The
+         * input of a null field is hidden, and its element with the field
+         * path receives the `data-json-editor-null` attribute, so that
+         * `getData` returns `null` for it.
          *
-         * @name setValueAtPath
+         * @name setNullState
          * @function
-         * @param {String} fieldPath The path at which to put the `value`.
-         * @param {Object} value The value to put at `fieldPath` path.
+         * @param {jQuery} $group The input group of the nullable field.
+         * @param {Boolean} isNull `true` to set the field to null.
          * @return {undefined}
          */
-        function setValueAtPath(fieldPath, value) {
-            putValue(settings.data, fieldPath, value);
+        function setNullState($group, isNull) {
+            $group.toggleClass("json-editor-null", isNull)
+                .data("jsonEditorField").$path
+                .attr("data-json-editor-null", isNull ? "true" : null);
+            $group.find(".json-editor-null-toggle").first().children("input")
+                .prop("checked", isNull);
+            updateFieldContent($group);
         }
 
         /*!
-         * renameValueAtPath
-         * Renames the value of the field at `fieldPath` path in the
-         * `settings.data` variable to the name specified in the `newName`
-         * argument. For example, if `fieldPath` is "first.second.third" and
-         * `newName` is "test", after calling this function the value that
-         * before was found at the "first.second.third" path will now be found
-         * at the path "first.second.test".
+         * setIncluded
+         * Includes an optional field in the data or excludes it. The input of
+         * an excluded field is hidden, and its element with the field path
+         * receives the `data-json-editor-excluded` attribute, so that the
+         * field is omitted by `getData`.
          *
-         * @name renameValueAtPath
+         * @name setIncluded
          * @function
-         * @param {String} fieldPath The path at which to put the `value`.
-         * @param {Object} value The value to put at `fieldPath` path.
+         * @param {jQuery} $group The input group of the optional field.
+         * @param {Boolean} included `true` to include the field.
          * @return {undefined}
          */
-        function renameValueAtPath(fieldPath, newName) {
-            setValueAtPath(self.setNameInPath(fieldPath, newName),
-                    self.getValue(fieldPath));
-            deleteValueAtPath(fieldPath);
+        function setIncluded($group, included) {
+            $group.toggleClass("json-editor-excluded", !included)
+                .data("jsonEditorField").$path
+                .attr("data-json-editor-excluded", included ? null : "true");
+            $group.find(".json-editor-include-toggle").first()
+                .children("input").prop("checked", included);
+            updateFieldContent($group);
         }
 
         /*!
-         * deleteValueAtPath
-         * Deletes the value of the field at `fieldPath` path in the
-         * `settings.data` variable.
+         * addStateToggles
+         * Adds the "null" checkbox to the input group of a nullable field and
+         * the include checkbox to the input group of an optional field.
          *
-         * @name deleteValueAtPath
+         * @name addStateToggles
          * @function
-         * @param {String} fieldPath The path at which to delete the value.
+         * @param {jQuery} $group The input group of the field.
+         * @param {jQuery} $label The label of the field.
+         * @param {jQuery|Array} $input The input of the field, or the input
+         * groups of the subfields for fields of type "object".
+         * @param {Object} field The field definition.
+         * @param {Boolean} isNull `true` if the field is initially null.
+         * @param {Boolean} included `true` if the field is initially included.
          * @return {undefined}
          */
-        function deleteValueAtPath(fieldPath) {
-            deleteValue(settings.data, fieldPath);
+        function addStateToggles($group, $label, $input, field, isNull,
+                included) {
+            var $toggle;
+
+            if (field.nullable === true && field.type !== "null") {
+                $toggle = addFieldToggle($group, $input, field,
+                        "json-editor-null-toggle", " null", setNullState);
+                // In the groups of the elementary fields the checkbox is after
+                // the input, so that the <label> element still focuses the
+                // input.
+                if (field.type === "object" || field.type === "array") {
+                    $label.after($toggle);
+                } else {
+                    $input.after($toggle);
+                }
+                $group.data("jsonEditorField").nullable = true;
+                setNullState($group, isNull);
+            }
+
+            // The include checkbox is the first element of the group, outside
+            // of the <label> element.
+            if (field.optional === true && field.required !== true) {
+                $group.prepend(addFieldToggle($group, $input, field,
+                            "json-editor-include-toggle", "", setIncluded));
+                $group.data("jsonEditorField").optional = true;
+                setIncluded($group, included);
+            }
         }
 
         /*!
-         * deleteUIOfSubfieldInObjectColumn
-         * Deletes the UI (the label, the input element and the Delete field and
-         * Edit field buttons) of a field inside the objects under a column of
-         * type "object", reflecting the change in all the objects under that
-         * column.
+         * createTreeNode
+         * Converts the input group of a field of type "object" or "array" to a
+         * tree node: the label, the number of fields or items and the field
+         * buttons are moved in a header which expands and collapses the node
+         * when clicked, and the fields or the table are moved in a container
+         * below it.
          *
-         * @name deleteUIOfSubfieldInObjectColumn
+         * @name createTreeNode
          * @function
-         * @param {jQuery} $group The input group element of a field instance
-         * under a column of type "object".
+         * @param {jQuery} $group The input group of the field.
+         * @param {jQuery} $label The label of the field.
+         * @param {Object} field The field definition.
          * @return {undefined}
          */
-        function deleteUIOfSubfieldInObjectColumn($group) {
-            var groupPath = $group.attr("data-json-editor-path") || $group.
-                find("[data-json-editor-path]:first")
-                .attr("data-json-editor-path");
-            // Get the index of the column in which we should delete the field
-            // in each of the cells inside that column
-            var index = $group.closest("td").index();
-            var $td, $tr, path, parts, $e;
-            // Get the parent <table> element in which we will update the
-            // contents of the column in which we should delete the field in
-            // each of the rows in the table body and table footer
-            var $table = $group.closest("table");
-
-            // For each row in the table body
-            $table.children("tbody")
-                    .children("tr").each(function (i, tr) {
-                $tr = $(tr);
-
-                // Get the cell in the column in which the field should be
-                // deleted in the current row `tr`
-                $td = $tr.children().eq(index);
+        function createTreeNode($group, $label, field) {
+            var $header, $children;
+
+            if ($label.is("h3")) {
+                $label = $("<span>", {
+                    "class": "json-editor-node-label",
+                    text: $label.text(),
+                    title: $label.attr("title")
+                }).replaceAll($label);
+            }
 
-                // The path of `field` (the field which should be deleted under
-                // all the cells under its column) is similar to
-                // "arrayTable.0.columnName.columnSubfield", it is a path to a
-                // subfield inside a table column (which is the same as an array
-                // direct subfield, child field) of type "object". We copy its
-                // path and change the copy to refer to field instance inside
-                // the current row.
-                path = updateDeepestRowIndexInFieldPath(
-                        groupPath, i.toString());
+            $children = $("<div>", {
+                "class": "json-editor-node-children"
+            }).append($group.children().not($label)
+                .not("input[type='button'], .json-editor-null-toggle, " +
+                    ".json-editor-include-toggle"));
+            $children.children("table").removeAttr("border");
 
-                // Inside this cell delete the field UI of the field definition
-                // `field` at the field path `path`
-                $e =
-                    $td.find("[data-json-editor-path=\"" +
-                        path + "\"]");
-                $e = closestWithFilter($e, function ($el) {
-                    return $el.siblings(
-                            ".json-editor-new-field-form:first").
-                        length > 0;
-                });
-                // This condition should always be met
-                if ($e) {
-                    $e.remove();
+            $header = $("<div>", {
+                "class": "json-editor-node-header",
+                on: {
+                    click: function (e) {
+                        // The field buttons and the editable names do not
+                        // expand or collapse the node.
+                        if ($(e.target).is("input")) return;
+                        setNodeExpanded($group,
+                                $group.hasClass("json-editor-collapsed"));
+                    }
                 }
-            });
-            // Do the same in the table footer where there is a single row
-            $tr = $table.children("tfoot:first").children(
-                    "tr:first");
-            $td = $tr.children().eq(index);
-
-            path = updateDeepestRowIndexInFieldPath(
-                    groupPath, "+");
-
-            $e = $td.find("[data-json-editor-path=\"" +
-                    path + "\"]");
-            $e = closestWithFilter($e, function ($el) {
-                return $el.siblings(
-                        ".json-editor-new-field-form:first").
-                    length > 0;
-            });
-            // This condition should always be met
-            if ($e) {
-                $e.remove();
-            }
+            }).append($group.children(".json-editor-include-toggle"),
+                $("<span>", {
+                    "class": "json-editor-node-toggle"
+                }), $label, $("<span>", {
+                    "class": "json-editor-node-count"
+                }), $group.children(".json-editor-null-toggle"),
+                $group.children("input[type='button']"));
+
+            $group.addClass("json-editor-node").append($header, $children);
+            setNodeExpanded($group, isExpandedByDefault(field));
+            updateNodeCounts($group);
         }
 
         /*!
-         * createUIOfSubfieldInObjectColumn
-         * Creates the input groups (which are the UI for a field definition) of a
-         * field inside a column of type "object". This means creating an
-         * instance of the input group in each row in the table body and in the
-         * table footer inside the column in which the given `$parent` is found.
+         * createMultiTypeGroup
+         * Creates the input group of a field of type "any" whose definition
+         * has a `types` array: the input is the input of the type of the
+         * value (or of the first type in `types` if the value has another
+         * type), followed by a <select> which changes the type of the value.
+         * The new type replaces the group with a new one which contains the
+         * default value of that type.
          *
-         * @name createUIOfSubfieldInObjectColumn
+         * @name createMultiTypeGroup
          * @function
-         * @param {jQuery} $parent The UI of one of the parent objects inside
-         * the column of type "object" in which the UI of the new field
-         * definition should be inserted. This is the parent element of the new
-         * field form with which the `newFieldDef` field definition was created.
-         * @param {Object} newFieldDef The field definition object of the new
-         * field which should be added in each row under the column of
-         * `$parent`.
-         * @return {undefined}
+         * @param {Object} field The field definition.
+         * @return {jQuery} The input group.
          */
-        function createUIOfSubfieldInObjectColumn($parent, newFieldDef) {
-            // Get the parent <table> element in which we will update the
-            // contents of the column in which we should insert the
-            // `newFieldDef` field definition in each of the rows in the table
-            // body and table footer
-            var $table = $parent.closest("table");
-            // Get the index of the column in which we should add the
-            // `newFieldDef` field definition in each of the cells inside that
-            // column
-            var columnIndex = $parent.closest("td").index();
-            var $tr, $td, def, parts;
-
-            // For each row in the table body
-            $table.children("tbody")
-                .children("tr").each(function (i, tr) {
-                $tr = $(tr);
-
-                // Get the cell in the `newFieldDef`'s column (which is the
-                // `sch[name]` column) in the current row `tr`
-                $td = $tr.children().eq(columnIndex);
-
-                // The path of `newFieldDef` is similar to
-                // "arrayTable.0.columnName.columnSubfield", it is a path to a
-                // subfield inside a table column (which is the same as an array
-                // direct subfield, child field) of type "object".  We clone
-                // `newFieldDef` and change its path to refer to the current
-                // row. `def` will be the definition of an item inside the
-                // column, not of the column itself.
-                def = $.extend(true, {}, newFieldDef);
-                def.path = updateDeepestRowIndexInFieldPath(
-                        def.path, i.toString());
+        function createMultiTypeGroup(field) {
+            var $group, $select, type;
+            var fieldData = field.data === undefined ?
+                self.getValue(field.path) : field.data;
+            var def = $.extend({}, field);
+            delete def.types;
+
+            if (typeof fieldData === "undefined") {
+                fieldData = field["default"];
+            }
+            type = $.grep(field.types, function (t) {
+                return isValueOfType(fieldData, t);
+            })[0];
+            if (typeof type === "undefined") {
+                type = field.types[0];
+                // An optional field without value stays excluded.
+                if (typeof fieldData !== "undefined") {
+                    def.data = getDefaultValueForType(type);
+                }
+            }
+            def.type = type;
 
-                // Inside this cell create, insert and show the UI of the `def`
-                // field definition just before the field editor
-                $td.find(".json-editor-new-field-form:first").
-                    before(self.createGroup(def));
+            $group = self.createGroup(def);
+            $select = $("<select>", {
+                "class": "json-editor-type-select",
+                on: {
+                    change: function () {
+                        var oldValue = self.getData(field.path);
+                        var $newGroup = createMultiTypeGroup($.extend({},
+                                    field, {
+                                        data: getDefaultValueForType(
+                                                $(this).val())
+                                    }));
+
+                        destroyWidgets($group);
+                        $group.replaceWith($newGroup);
+                        emit("change", {
+                            path: field.path,
+                            oldValue: oldValue,
+                            newValue: self.getData(field.path)
+                        });
+                    }
+                }
             });
-            // Do the same in the table footer where there is a single row
-            $tr = $table.children("tfoot:first")
-                .children("tr:first");
-            $td = $tr.children().eq(columnIndex);
-
-            def = $.extend(true, {}, newFieldDef);
-            def.path = updateDeepestRowIndexInFieldPath(
-                        def.path, "+");
+            $.each(field.types, function (i, t) {
+                $select.append($("<option>", {
+                    value: t,
+                    text: t
+                }));
+            });
+            $select.val(type);
 
-            $td.find(".json-editor-new-field-form:first").
-                before(self.createGroup(def));
+            $group.addClass("json-editor-multi-type")
+                .data("jsonEditorMultiType", field).append($select);
+            return $group;
         }
 
         /**
@@ -2657,10 +5958,19 @@
          * @return {jQuery} The jQuery object form.
          */
         self.createGroup = function (field) {
-            var $group, $label, $labelContainer, fieldData, $input;
+            var $group, $label, $labelContainer, fieldData, $input, widgetName,
+                isNull = false, included;
+
+            // The values of the fields which can have several types are
+            // edited with the input of their current type.
+            if (field.type === "any" && $.isArray(field.types) &&
+                    field.types.length > 0) {
+                return createMultiTypeGroup(field);
+            }
 
             // Create form group
-            $group = self.groups[field.type].clone(true);
+            $group = self.groups[field.type].clone(true)
+                .addClass("json-editor-group");
 
             // TODO Configurable
             $label = self.labels[field.type].clone(true).text(field.label);
@@ -2669,7 +5979,11 @@
                 $label.attr({
                     "data-json-object-key": "true",
                     "data-json-key-path": field.path
-                });
+                }).data("jsonEditorValue", field.label);
+            }
+            // The description of the field is shown as a tooltip.
+            if (typeof field.description === "string") {
+                $label.attr("title", field.description);
             }
 
             // Add label
@@ -2683,6 +5997,21 @@
             $labelContainer.append($label);
 
             fieldData = field.data === undefined ? self.getValue(field.path) : field.data;
+            // The optional fields without data are initially excluded.
+            included = typeof fieldData !== "undefined";
+            // If there is no data for the field, use the default value from
+            // the field definition, if there is one.
+            if (typeof fieldData === "undefined") {
+                fieldData = field["default"];
+            }
+            // The null value of a field of another type is shown with the
+            // "null" checkbox if the field is nullable, and the input receives
+            // the default value of the type.
+            if (fieldData === null && field.type !== "null" &&
+                    field.type !== "any") {
+                isNull = field.nullable === true;
+                fieldData = undefined;
+            }
 
             // Add input
             $input = null;
@@ -2705,9 +6034,9 @@
                 // `<select>`.
                 for (var i = 0; i < field.possible.length; i++) {
                     var val = field.possible[i];
-                    var text = JsonEdit.converters.string(val);
+                    var text = self.converters.string(val);
                     // For the `value` attribute of the <option> element we do
-                    // not use `JsonEdit.converters.string` because the date
+                    // not use `self.converters.string` because the date
                     // string obtained with it cannot be parsed easily with a
                     // general algorithm (for example parsing "22.10.2015" with
                     // the `Date` constructor returns an invalid date) and the
@@ -2723,6 +6052,10 @@
 
                 // Set the selected value to the one in `fieldData`.
                 $input.val(fieldData);
+                // Remember the value, it is sent as the old value to the
+                // handlers of the change event.
+                $input.data("jsonEditorValue",
+                        self.getValueFromElement($input));
             } else if (field.type == "array") {
                 var $thead, $tfoot, $tbody, $headers, $footers, headers, $ths,
                     $tdfs, $addButton;
@@ -2819,7 +6152,7 @@
                     for (var i = 0; i < headers.length; ++i) {
                         var sch = field.schema[headers[i]];
                         // special path for the new edited item:
-                        var path = field.path + ".+." + headers[i];
+                        var path = field.path + ".+." + encodeKey(headers[i]);
 
                         // If the schema contains a label
                         if (sch.label) {
@@ -2873,7 +6206,7 @@
                     // Clone the subfield definition and in the clone set the
                     // path and the data
                     var fieldDef = $.extend(true, {}, cField, {
-                        path: field.path + "." + k,
+                        path: field.path + "." + encodeKey(k),
                         _edit: field.edit
                     });
                     if (typeof fieldData !== "undefined" &&
@@ -2903,9 +6236,13 @@
                     fieldData = getDefaultValueForType(field.type);
                 }
 
-                $input = self.inputs[field.type].clone(true).attr({
+                // The input is rendered by the widget of the field, which
+                // also reads and sets its value.
+                widgetName = getWidgetName(field);
+                $input = JsonEdit.widgets[widgetName].render(field, self).attr({
                     "data-json-editor-path": field.path,
-                    "data-json-editor-type": field.type
+                    "data-json-editor-type": field.type,
+                    "data-json-editor-widget": widgetName
                 });
 
                 self.setValueToElement($input, fieldData);
@@ -2922,13 +6259,14 @@
                     value: "× Delete field",
                     on: {
                         click: function () {
-                            var sch, order;
+                            var sch, order, oldValue = self.getData(field.path);
                             // When the Delete field button is clicked, remove
                             // the group element from the document (the group
                             // element contains the input element and the Delete
                             // field button). If the field is under a table
                             // column, do the same deletion in all the cells
                             // under that column.
+                            destroyWidgets($group);
                             if (fieldPathIsUnderTableColumn(field.path)) {
                                 deleteUIOfSubfieldInObjectColumn($group);
                             } else {
@@ -2946,6 +6284,12 @@
                             order = sch[settings.orderProperty];
                             order.splice(order.indexOf(field.name), 1);
                             delete sch[field.name];
+
+                            emit("fielddelete", {
+                                path: field.path,
+                                oldValue: oldValue,
+                                newValue: undefined
+                            });
                         }
                     }
                 }));
@@ -3001,6 +6345,15 @@
                     }
                 }));
             }
+
+            addStateToggles($group, $label, $input, field, isNull, included);
+            if (field.type === "object" || field.type === "array") {
+                if (settings.mode === "tree") {
+                    createTreeNode($group, $label, field);
+                } else {
+                    makeCollapsible($group, $label, field);
+                }
+            }
             return $group;
         };
 
@@ -3011,53 +6364,148 @@
          *
          * @name getDefinitionAtPath
          * @function
-         * @param {String} path Required, the path at which to get the field
-         * definition.
+         * @param {String} path Required, the path or the JSON Pointer at which
+         * to get the field definition.
          * @return {Object} The definition of the field at the specified path.
          */
         self.getDefinitionAtPath = function (path) {
             var fieldPathParts, currentPart, currentVal;
 
+            path = normalizePath(path);
             if (path.length === 0) {
                 return {
                     schema: settings.schema
                 };
             }
 
-            // Remove all the array indices and "+" signs from the path. The
-            // `getDefinitionAtPath` function returns field definitions, not
-            // field instance definitions, and those are found in the
+            // The `getDefinitionAtPath` function returns field definitions,
+            // not field instance definitions, and those are found in the
             // `settings.schema` variable which does not contain any array
-            // indices or "+" signs.
-            path = path.replace(/\.(\d+|\+)\./g, ".");
-
+            // indices or "+" signs: they select the definition of the items
+            // of the arrays with a single column (which can be arrays too)
+            // and they are skipped in the arrays of objects.
             fieldPathParts = path.split(".");
             currentPart = fieldPathParts[0];
-            currentVal = settings.schema[currentPart];
+            currentVal = settings.schema[decodeKey(currentPart)];
             for (var i = 1; i < fieldPathParts.length; i++) {
                 currentPart = fieldPathParts[i];
+                if (!currentVal || !currentVal.schema) return undefined;
 
+                var currentPartIsIndex = /^(\d+|\+)$/.test(currentPart);
                 // If the schema of the current field definition has a single
                 // field (the same as: `schemaHasType` is `true`)
                 var schemaHasType = typeof currentVal.schema.type === "string";
                 if (schemaHasType) {
                     currentVal = currentVal.schema;
-                    // If the current part is not an integer (a table row
-                    // index), reprocess the current part.
-                    var currentPartIsInt = Number.isInteger(parseInt(
-                                currentPart));
-                    if (!currentPartIsInt) {
+                    // If the current part is not a table row index,
+                    // reprocess the current part.
+                    if (!currentPartIsIndex) {
                         i--;
                     }
+                // Else if the current part is a row index of a table whose
+                // rows are objects, which is not the last part of the path
+                } else if (currentPartIsIndex && currentVal.type === "array" &&
+                        i < fieldPathParts.length - 1) {
+                    continue;
                 // Else if the schema is empty or contains more than one field
                 } else {
                     // This value can be undefined
-                    currentVal = currentVal.schema[currentPart];
+                    currentVal = currentVal.schema[decodeKey(currentPart)];
                 }
             }
             return currentVal;
         };
 
+        /**
+         * getSchema
+         * Returns the current field definitions, including the fields, the
+         * columns and the possible values added with the field editors.
+         *
+         * @name getSchema
+         * @function
+         * @param {Object} opt_options Optional, an object containing the
+         * following fields:
+         *
+         *  - `format` (String): The format of the returned schema. If it is
+         *  "json-schema", a standard JSON Schema document (2020-12) is
+         *  returned. Otherwise a copy of the schema in the format of the JSON
+         *  editor is returned.
+         *
+         * @return {Object} The schema.
+         */
+        self.getSchema = function (opt_options) {
+            var out;
+
+            opt_options = opt_options || {};
+
+            if (opt_options.format === "json-schema") {
+                out = objectSchemaToJsonSchema(settings.schema,
+                        settings.orderProperty);
+                return $.extend({
+                    $schema: "https://json-schema.org/draft/2020-12/schema"
+                }, out);
+            }
+            return $.extend(true, {}, settings.schema);
+        };
+
+        /**
+         * pointerToPath
+         * Converts a JSON Pointer (RFC 6901) to a field path in dot notation,
+         * like the ones in the `data-json-editor-path` attributes. The
+         * reference tokens are array indices where the schema contains arrays,
+         * and escaped object keys otherwise: the characters "~", ".", "/",
+         * "'", '"' and "\\" in keys become "~t", "~d", "~s", "~a", "~q" and
+         * "~b", the key "+" becomes "~+", the empty key becomes "~e" and the
+         * keys containing only digits are prefixed with "~n". Unlike in the
+         * JSON Pointer, "~0" and "~1" are not escapes in the field path.
+         *
+         * @name pointerToPath
+         * @function
+         * @param {String} pointer The JSON Pointer, for example
+         * "/deepObject/a.b/0".
+         * @return {String} The field path, for example "deepObject.a~db.0".
+         */
+        self.pointerToPath = function (pointer) {
+            var tokens = parsePointer(pointer), parts = [],
+                def = {
+                    type: "object",
+                    schema: settings.schema
+                };
+
+            for (var i = 0; i < tokens.length; i++) {
+                if (def ? def.type === "array" : /^\d+$/.test(tokens[i])) {
+                    parts.push(tokens[i]);
+                    // The items of the arrays with a single column are
+                    // described directly by the `schema` property.
+                    def = def && (typeof Object(def.schema).type === "string" ?
+                        def.schema : {
+                            type: "object",
+                            schema: def.schema
+                        });
+                } else {
+                    parts.push(encodeKey(tokens[i]));
+                    def = def && def.schema &&
+                        def.schema.hasOwnProperty(tokens[i]) ?
+                        def.schema[tokens[i]] : undefined;
+                }
+            }
+            return parts.join(".");
+        };
+
+        /**
+         * pathToPointer
+         * Converts a field path in dot notation to a JSON Pointer (RFC 6901).
+         *
+         * @name pathToPointer
+         * @function
+         * @param {String} path The field path, for example
+         * "deepObject.a~db.0".
+         * @return {String} The JSON Pointer, for example "/deepObject/a.b/0".
+         */
+        self.pathToPointer = function (path) {
+            return pathToPointer(path);
+        };
+
         /**
          * getNameFromPath
          * Extracts the name of a field from its path.
@@ -3069,7 +6517,7 @@
          * @return {String} The name of the field with the specified path.
          */
         self.getNameFromPath = function (path) {
-            return path.split(".").pop();
+            return decodeKey(normalizePath(path).split(".").pop());
         };
 
         /**
@@ -3086,8 +6534,8 @@
          * `newName`.
          */
         self.setNameInPath = function (path, newName) {
-            var parts = path.split(".");
-            parts[parts.length - 1] = newName;
+            var parts = normalizePath(path).split(".");
+            parts[parts.length - 1] = encodeKey(newName);
             return parts.join(".");
         };
 
@@ -3102,7 +6550,7 @@
          * @name resetPathIndicesInTable
          * @function
          * @param {String|jQuery} path A jQuery object indicating the table, or
-         * a path to a table.
+         * a path or a JSON Pointer to a table.
          * @return {undefined}
          */
         self.resetPathIndicesInTable = function (path) {
@@ -3120,6 +6568,7 @@
                 path = $table.attr(attrToChange);
             // Else if `path` is a string
             } else {
+                path = normalizePath(path);
                 // Use a selector to find the searched <table> element in the
                 // `self.container` element
                 $table = $("table[data-json-editor-path='" + path + "']",
@@ -3187,7 +6636,8 @@
          *
          * @name add
          * @function
-         * @param {String|jQuery} path The path to the field or the jQuery object.
+         * @param {String|jQuery} path The path or the JSON Pointer to the field
+         * or the jQuery object.
          * @param {Object} data Data to add.
          * @return {undefined}
          */
@@ -3200,6 +6650,7 @@
                 $elm = $elm.closest("[data-json-editor-path]");
                 path = $elm.attr("data-json-editor-path");
             } else {
+                path = normalizePath(path);
                 $elm = $("[data-json-editor-path='" + path + "']",
                         self.container);
             }
@@ -3219,8 +6670,18 @@
             // If the type of the schema is explicitly specified
             if (typeof Object(arrayFieldDef.schema).type === "string") {
                 // then this is an array table with a single column
+                // The items of a column of type "any", the null items of a
+                // nullable column and the items which can be values of the
+                // type of the column (for example the numbers of a column of
+                // type "integer") keep the type of the column.
+                var itemType = getTypeOf(data);
+                if (arrayFieldDef.schema.type === "any" || data === null &&
+                        arrayFieldDef.schema.nullable === true ||
+                        isValueOfType(data, arrayFieldDef.schema.type)) {
+                    itemType = arrayFieldDef.schema.type;
+                }
                 var newSchema = $.extend(true, {}, arrayFieldDef.schema, {
-                    type: getTypeOf(data),
+                    type: itemType,
                     // In this line of code we use `path`, not
                     // `arrayFieldDef.path` because `path` also contains table
                     // indices and "+" signs.
@@ -3260,7 +6721,7 @@
                     // in function of `path` not of `arrayFieldDef.path` because
                     // `path` also contains array indices and "+" signs.
                     var currentFieldPath = path + "." + nextIndex + "." +
-                        fields[i];
+                        encodeKey(fields[i]);
 
                     var newSchema = $.extend(true, {}, sch, {
                         path: currentFieldPath,
@@ -3287,6 +6748,7 @@
          * @return {undefined}
          */
         self["delete"] = function (path) {
+            destroyWidgets($(path));
             $(path).remove();
         };
 
@@ -3296,20 +6758,21 @@
          *
          * @name getValue
          * @function
-         * @param {String} fieldPath The path to the value.
+         * @param {String} fieldPath The path or the JSON Pointer to the value.
          * @return {Anything} The value taken from data.
          */
         self.getValue = function (fieldPath) {
-            return findValue(settings.data, fieldPath);
+            return findValue(settings.data, normalizePath(fieldPath));
         };
 
         /**
          * getValueFromElement
          * Returns the value of the specified jQuery input element. This is
-         * different than the simple jQuery `val` method because it returns a
-         * boolean value for inputs of type `checkbox`, it converts the string
-         * value of a `date` input to a `Date` object and it does other
-         * conversions based on the default or user `converters`.
+         * different than the simple jQuery `val` method because the value is
+         * read by the widget of the field (for example a boolean value for
+         * inputs of type `checkbox`) and then converted based on the default
+         * or user `converters` (for example the string value of a `date`
+         * input to a `Date` object).
          *
          * @name getValueFromElement
          * @function
@@ -3321,20 +6784,7 @@
             var converter;
             var type = $el.attr("data-json-editor-type");
 
-            var val;
-            if ($el.attr("type") === "checkbox") {
-                val = $el.prop("checked");
-            } else {
-                // The empty string below is necessary because the jQuery
-                // `val` function on fields with possible values (which
-                // possibly have the type "string" or "number", present in
-                // the UI as <select>s, will return `null` if the set value
-                // is not in the list of possible values and the implicit
-                // value is `undefined` which may not be one of the possible
-                // values. The string converter function called below
-                // sometimes expects a non-null value.
-                val = $el.val() || "";
-            }
+            var val = getWidget($el).getValue($el);
 
             converter = self.converters[type];
             if (typeof converter === "function") {
@@ -3347,8 +6797,9 @@
         /**
          * setValueToElement
          * Sets a value to the specified jQuery input element. This is
-         * different than the simple jQuery `val` method because it understands
-         * boolean and `Date` values.
+         * different than the simple jQuery `val` method because the value is
+         * set by the widget of the field, which understands boolean and `Date`
+         * values.
          *
          * @name setValueToElement
          * @function
@@ -3357,19 +6808,12 @@
          * @returns {undefined}
          */
         self.setValueToElement = function ($input, val) {
-            var type = $input.attr("data-json-editor-type");
-
             // Set value in input
-            if (type === "boolean") {
-                $input.prop("checked", val);
-            } else if (type === "date") {
-                // input[type=date] accepts a UTC date, not a local date.
-                // See http://stackoverflow.com/a/32972449/258462
-                $input[0].valueAsDate = new Date(Date.UTC(val.getFullYear(),
-                            val.getMonth(), val.getDate()));
-            } else {
-                $input.val(val);
-            }
+            getWidget($input).setValue($input, val);
+
+            // Remember the value, it is sent as the old value to the handlers
+            // of the change event.
+            $input.data("jsonEditorValue", self.getValueFromElement($input));
         };
 
         /**
@@ -3391,6 +6835,34 @@
             }
 
             create(settings.schema);
+
+            // The data from which the form was created and the data shown in
+            // it, compared by `getData` to find the unknown data.
+            if (settings.preserveUnknown) {
+                unknownBase = {
+                    data: cloneValue(settings.data),
+                    form: collectData(null, null, null, true)
+                };
+                // The rows remember the index of the item they were created
+                // from, so that they are merged with it after the rows
+                // before them are added or deleted.
+                $("table[data-json-editor-type='array']", self.container)
+                    .children("tbody").children("tr").each(function (i, tr) {
+                        $(tr).data("jsonEditorItemIndex", $(tr).index());
+                    });
+            }
+
+            // The undo/redo history starts from the state of the new form.
+            if (!history.current) {
+                history.current = takeSnapshot();
+            }
+            // The data loaded in the form the first time is the default base
+            // of the patches returned by `getPatch`, and it is restored by
+            // `reset`.
+            if (typeof originalData === "undefined") {
+                originalData = cloneValue(history.current.data);
+                originalSchema = $.extend(true, {}, history.current.schema);
+            }
         };
 
         /**
@@ -3399,8 +6871,8 @@
          *
          * @name setData
          * @function
-         * @param {String} path The path of the form input(s) where to set the
-         * data.
+         * @param {String} path The path or the JSON Pointer of the form
+         * input(s) where to set the data.
          * @param {Object} data The data object to set.
          * @param {jQuery} root Optional, the root jQuery element to search for
          * the given path. If not given, defaults to `self.container`.
@@ -3408,27 +6880,69 @@
          */
         self.setData = function (path, data, root) {
             root = root || self.container;
+            path = normalizePath(path);
 
             // Traverse all the fields in the UI.
             $("[data-json-editor-path]", root).each(function () {
                 var p, val;
                 var $this = $(this);
                 var type = $this.attr("data-json-editor-type");
+                var $group = $this.closest(".json-editor-group");
+                var state = $group.data("jsonEditorField");
+                var multiType = $group.data("jsonEditorMultiType");
+
+                // A value of another type than the type of the input of a
+                // field with several types replaces the input group.
+                if (multiType && $group.find("[data-json-editor-path]")
+                        .first().is($this)) {
+                    p = getRelativePath($this.attr("data-json-editor-path"),
+                            path);
+                    if (typeof p !== "string") { return; }
+                    val = findValue(data, p);
+                    if (typeof val !== "undefined" &&
+                            !isValueOfType(val, type) &&
+                            $.grep(multiType.types, function (t) {
+                                return isValueOfType(val, t);
+                            }).length > 0) {
+                        destroyWidgets($group);
+                        $group.replaceWith(createMultiTypeGroup($.extend({},
+                                        multiType, {
+                                            path: $this.attr(
+                                                "data-json-editor-path"),
+                                            data: val
+                                        })));
+                        return;
+                    }
+                }
+
+                // The optional fields are excluded when there is no value and
+                // the nullable fields are set to null when the value is null.
+                if (state && state.$path.is($this)) {
+                    p = getRelativePath($this.attr("data-json-editor-path"),
+                            path);
+                    if (typeof p !== "string") { return; }
+                    val = findValue(data, p);
+                    if (state.optional) {
+                        setIncluded($group, typeof val !== "undefined");
+                        if (typeof val === "undefined") return;
+                    }
+                    if (state.nullable) {
+                        setNullState($group, val === null);
+                        if (val === null) return;
+                    }
+                }
+
                 // If the type is "object", expect that this jQuery `each` loop
                 // will reach the inputs representing fields under this object
                 // so we do not need to do anything now.
                 if (type === "object") return;
 
-                p = $this.attr("data-json-editor-path");
-                // If the current path does not start with the given path,
-                // return.
-                if (p.substring(0, path.length) !== path) { return; }
                 // Remove the given path from the path of the current element.
-                p = p.substring(path.length);
-                if (p.length > 0) { // If the given path is not a direct value
-                    // remove the . character at the beginning
-                    p = p.substring(1);
-                }
+                // If the current path does not start with the given path,
+                // return.
+                p = getRelativePath($this.attr("data-json-editor-path"),
+                        path);
+                if (typeof p !== "string") { return; }
 
                 val = findValue(data, p);
 
@@ -3444,13 +6958,14 @@
                     // Below we use the `length` property of the `val` variable
                     // so if the type of the field is "array" we use the default
                     // value of an empty array.
-                    if (typeof val === "undefined") {
+                    if (typeof val === "undefined" || val === null) {
                         val = [];
                     }
 
                     var $tbody = $this.children("tbody");
 
                     // Remove extra unnecessary table rows.
+                    destroyWidgets($tbody.children("tr").slice(val.length));
                     $tbody.children("tr").slice(val.length).remove();
 
                     // Add the remaining new necessary rows using the `add`
@@ -3464,36 +6979,36 @@
                 }
 
                 // If the value for path `p` is not given, set a default value.
-                if (typeof val === "undefined") {
+                if (typeof val === "undefined" ||
+                        val === null && type !== "null" && type !== "any") {
                     val = getDefaultValueForType(type);
                 }
                 self.setValueToElement($this, val);
             });
         };
 
-        /**
-         * getData
-         * Collects data from form inputs and return the data object.
+        /*!
+         * collectData
+         * Collects data from form inputs and return the data object. See the
+         * `getData` method, which also merges the unknown data when the
+         * `preserveUnknown` option is set.
          *
-         * @name getData
+         * @name collectData
          * @function
-         * @param {String} path Optional path at which to collect the data. If
-         * not specified, the path will be the root path.
+         * @param {String} path Optional path or JSON Pointer at which to
+         * collect the data. If not specified, the path will be the root path.
          * @param {jQuery} root Optional root element in which to search for the
-         * specified path. If not specified, the root element will be
-         * `self.container`. This is useful if the root element has not been
-         * appended to `self.container` yet.
+         * specified path.
          * @param {Boolean} includeNewItemEditors Optional, if true the paths
-         * ending in ".+" or containing ".+." will be included in the final data
-         * object.
+         * ending in ".+" or containing ".+." will be included, except the new
+         * item editors nested in `path`.
          * @param {Boolean} includeFieldsBeingEdited Optional, if true the data
-         * of the fields that are currently being edited will also be included
-         * in the final returned object.
+         * of the fields that are currently being edited will also be included.
          * @return {Object} The object containing data taken from form inputs.
          */
-        self.getData = function (path, root, includeNewItemEditors,
+        function collectData(path, root, includeNewItemEditors,
                 includeFieldsBeingEdited) {
-            var directValue, data, selector;
+            var directValue, emptyValue, data, selector;
 
             /*!
              * analyzePath
@@ -3510,127 +7025,1030 @@
              * the `data-json-editor-path` attribute on the current field jQuery
              * input element.
              * @param {Boolean} includeNewItemEditors If not true, new item
-             * editors (inputs for fields with paths starting with +.,
-             * containing .+. or ending with .+) are not included in the
+             * editors (inputs for fields with paths equal to +, starting with
+             * +., containing .+. or ending with .+) are not included in the
              * extracted data, so if the path `p` is the path of a new field
-             * editor this function will return `undefined`.
+             * editor this function will return `undefined`. If true, only the
+             * new item editors nested in `path` are not included (for
+             * example the new item editor of an array inside the new item
+             * editor of an array of arrays).
              * @return {String|undefined} The field path `p` after it is
              * processed, or if the path `p` is not of a field from which data
              * should be extracted, `undefined`.
              */
             function analyzePath(path, p, includeNewItemEditors) {
-                // If the current path does not start with the given path (which
-                // is by default an empty string), return.
-                if (p.substring(0, path.length) !== path) { return; }
-                // Remove the given path from the path of the current data in
-                // the final data object.
-                p = p.substring(path.length);
-                // If the given path is not a direct value
-                if (p.length > 0 && path.length > 0) {
-                    // remove the . character at the beginning
-                    p = p.substring(1);
-                }
+                var newItemEditorRegex = /(^\+$|^\+\.|\.\+$|\.\+\.)/;
 
                 // If `includeNewItemEditors` is not true and this is the path
                 // of a new item editor in a table, skip.
-                if (!includeNewItemEditors && /(^\+\.|\.\+$|\.\+\.)/.test(p)) {
+                if (!includeNewItemEditors && newItemEditorRegex.test(p)) {
                     return;
                 }
 
+                // Remove the given path from the path of the current data in
+                // the final data object. If the current path does not start
+                // with the given path (which is by default an empty string),
+                // return.
+                p = getRelativePath(p, path);
+                if (typeof p !== "string") { return; }
+
+                // Skip the new item editors nested in `path`.
+                if (newItemEditorRegex.test(p)) { return; }
+
                 return p;
             }
 
-            path = path || "";
-            root = root || self.container;
+            path = normalizePath(path || "");
+            root = root || self.container;
+
+            directValue = false;
+            data = {};
+
+            // Traverse all the fields in the UI which are not being edited (and
+            // they do not have a parent field that is being edited). If the
+            // `includeFieldsBeingEdited` argument is true, also traverse the
+            // fields that are being edited and their descendant fields.
+            // The excluded fields and the fields inside null or excluded
+            // objects and arrays are not traversed.
+            selector = "[data-json-editor-path]:not(" +
+                "[data-json-editor-null] *, [data-json-editor-excluded], " +
+                "[data-json-editor-excluded] *)";
+            if (!includeFieldsBeingEdited) {
+                selector += ":not(.json-editor-edited, .json-editor-edited *)";
+            }
+            $(selector, root).each(function () {
+                var val;
+                var $this = $(this);
+                var type = $this.attr("data-json-editor-type");
+
+                var p = $this.attr("data-json-editor-path");
+                p = analyzePath(path, p, includeNewItemEditors);
+                if (typeof p !== "string") return;
+
+                // If `type` is "array" we set the value to an empty array to be
+                // sure that an array with no elements will still be in the
+                // generated data. The elements of the array will be read from
+                // other jQuery elements with paths ending in ".X" or
+                // containing ".X." where `X` is a number.
+                if ($this.is("[data-json-editor-null]")) {
+                    val = null;
+                } else if (type === "array") {
+                    val = [];
+                } else if (type === "object") {
+                    // Handle objects without fields. (They might have a purpose
+                    // if they have the `addField: true` property set.)
+                    val = {};
+                } else {
+                    // If `type` is not an array we read the value from the
+                    // jQuery element.
+                    val = self.getValueFromElement($this);
+                }
+                if (p.length > 0) { // If the given path is not a direct value
+                    // set the value in the `data` object at the specified
+                    // path.
+                    data[p] = val;
+                } else if (val !== null &&
+                        (type === "array" || type === "object")) {
+                    // If it is a direct array or object, its items or fields
+                    // are collected like the fields of the root object. The
+                    // empty value is returned if there are no items or fields.
+                    emptyValue = val;
+                } else {
+                    // If it is a direct value, at the end of the function we
+                    // will return `data` without processing it.
+                    directValue = true;
+                    data = val;
+                }
+            });
+
+            // Handle fields with editable names.
+            $("[data-json-object-key]", root).each(function () {
+                var $this = $(this);
+
+                // The path to the field with editable key
+                var p = $this.attr("data-json-key-path");
+                p = analyzePath(path, p, includeNewItemEditors);
+                if (typeof p !== "string") return;
+
+                // The key is replaced only in the last segment of the path,
+                // in the flattened keys of the field and of its subfields.
+                var newPath = p.substring(0, p.lastIndexOf(".") + 1) +
+                    encodeKey($this.val());
+                if (newPath === p) return;
+                var renamed = {};
+                for (var k in data) {
+                    if (!data.hasOwnProperty(k)) continue;
+                    if (k === p || k.indexOf(p + ".") === 0) {
+                        renamed[newPath + k.substring(p.length)] = data[k];
+                        delete data[k];
+                    }
+                }
+                $.extend(data, renamed);
+            });
+
+            // If the value is a direct elementary value, it should be
+            // directly returned.
+            if (directValue) {
+                return data;
+            }
+            // If it isn't a direct elementary value, it surely must be
+            // unflattened and processed (searched) for integer property names
+            // which should be transformed in arrays.
+            data = decodeKeys(handleArrays(unflattenObject(data)));
+            if (emptyValue && getTypeOf(data) === "object" &&
+                    $.isEmptyObject(data)) {
+                return emptyValue;
+            }
+            return data;
+        }
+
+        /*!
+         * getItemIndices
+         * Returns the indices of the original items (see the `preserveUnknown`
+         * option) from which the rows of the table of an array were created.
+         *
+         * @name getItemIndices
+         * @function
+         * @param {String} path The path of the array.
+         * @return {Array|null} The indices, `undefined` for the rows added
+         * after the form was created, or `null` if there is no table at the
+         * given path.
+         */
+        function getItemIndices(path) {
+            var $table = $("table[data-json-editor-path='" + path + "']",
+                    self.container);
+
+            if ($table.length === 0) return null;
+            return $table.children("tbody").children("tr").map(function () {
+                return [$(this).data("jsonEditorItemIndex")];
+            }).get();
+        }
+
+        /**
+         * getData
+         * Collects data from form inputs and return the data object.
+         *
+         * @name getData
+         * @function
+         * @param {String} path Optional path or JSON Pointer at which to
+         * collect the data. If not specified, the path will be the root path.
+         * @param {jQuery} root Optional root element in which to search for the
+         * specified path. If not specified, the root element will be
+         * `self.container`. This is useful if the root element has not been
+         * appended to `self.container` yet.
+         * @param {Boolean} includeNewItemEditors Optional, if true the paths
+         * ending in ".+" or containing ".+." will be included in the final data
+         * object, except the new item editors nested in `path`.
+         * @param {Boolean} includeFieldsBeingEdited Optional, if true the data
+         * of the fields that are currently being edited will also be included
+         * in the final returned object.
+         * @return {Object} The object containing data taken from form inputs.
+         * If the `preserveUnknown` option is set and no `root` is given, the
+         * data which is not shown in the form and the unchanged values which
+         * were converted by the form keep their original values.
+         */
+        self.getData = function (path, root, includeNewItemEditors,
+                includeFieldsBeingEdited) {
+            var data = collectData(path, root, includeNewItemEditors,
+                    includeFieldsBeingEdited);
+
+            if (!settings.preserveUnknown || !unknownBase ||
+                    (root && !$(root).is(self.container)) ||
+                    includeNewItemEditors) {
+                return data;
+            }
+            path = normalizePath(path || "");
+            return mergeUnknown(findValue(unknownBase.data, path), data,
+                    findValue(unknownBase.form, path), getItemIndices, path);
+        };
+
+        /**
+         * getJSON
+         * Returns the data of the form as JSON text in which the dates, the
+         * regular expressions and the values of the other types which have
+         * serializers (see the `serialize` option) are encoded, so that they
+         * are decoded when the text is given back in the `data` option.
+         *
+         * @name getJSON
+         * @function
+         * @param {String} path Optional path or JSON Pointer of the data. If
+         * not specified, the path will be the root path.
+         * @param {Number|String} space Optional, the indentation of the JSON
+         * text, as in `JSON.stringify`.
+         * @return {String} The JSON text.
+         */
+        self.getJSON = function (path, space) {
+            var data = self.getData(path);
+
+            path = normalizePath(path || "");
+            // The items of the arrays are encoded with the definition of
+            // their array.
+            if (/\.\d+$/.test(path)) {
+                data = encodeValues([data], self.getDefinitionAtPath(
+                            path.replace(/\.\d+$/, "")))[0];
+            } else {
+                data = encodeValues(data, self.getDefinitionAtPath(path));
+            }
+            return JSON.stringify(data, null, space);
+        };
+
+        /**
+         * getPatch
+         * Returns the JSON Patch (RFC 6902) operations which transform the
+         * given data in the current data of the form.
+         *
+         * @name getPatch
+         * @function
+         * @param {Object} since Optional, the data from which the patch
+         * starts. If not given, it is the data loaded in the form when it was
+         * created.
+         * @return {Array} The JSON Patch operations.
+         */
+        self.getPatch = function (since) {
+            if (typeof since === "undefined") {
+                since = typeof originalData === "undefined" ? settings.data :
+                    originalData;
+            }
+            return createPatch(since, self.getData(null, null, null, true), "",
+                    []);
+        };
+
+        /**
+         * getDirtyPaths
+         * Returns the paths of the fields and of the array items whose values
+         * are different than the ones in the data loaded in the form when it
+         * was created, including the added and the removed ones.
+         *
+         * @name getDirtyPaths
+         * @function
+         * @return {Array} The field paths.
+         */
+        self.getDirtyPaths = function () {
+            var paths = [];
+
+            $.each(self.getPatch(), function (i, operation) {
+                var path = self.pointerToPath(operation.path);
+                if (paths.indexOf(path) === -1) {
+                    paths.push(path);
+                }
+            });
+            return paths;
+        };
+
+        /**
+         * isDirty
+         * Checks whether the data in the form is different than the data
+         * loaded in the form when it was created.
+         *
+         * @name isDirty
+         * @function
+         * @return {Boolean} `true` if the user changed the data, `false`
+         * otherwise.
+         */
+        self.isDirty = function () {
+            return self.getPatch().length > 0;
+        };
+
+        /**
+         * reset
+         * Restores the original value (the one loaded in the form when it was
+         * created) of the field at the given path, or the original data and
+         * fields of the entire form. A field which did not exist originally is
+         * removed. The reset of a single field is applied with `applyPatch`,
+         * the reset of the entire form triggers the `jsonedit:reset` event on
+         * the container. Both can be undone.
+         *
+         * @name reset
+         * @function
+         * @param {String} path Optional, the path or the JSON Pointer of the
+         * field to reset. If not given, the entire form is reset.
+         * @return {undefined}
+         */
+        self.reset = function (path) {
+            var oldData = self.getData(null, null, null, true),
+                current, original, pointer;
+
+            if (typeof originalData === "undefined") return;
+
+            path = normalizePath(path || "");
+            if (path === "") {
+                settings.data = cloneValue(originalData);
+                settings.schema = $.extend(true, {}, originalSchema);
+                rebuildUi();
+                emit("reset", {
+                    path: "",
+                    oldValue: oldData,
+                    newValue: self.getData(null, null, null, true)
+                });
+                return;
+            }
+
+            current = findValue(oldData, path);
+            original = findValue(originalData, path);
+            pointer = pathToPointer(path);
+            if (typeof original === "undefined") {
+                if (typeof current !== "undefined") {
+                    self.applyPatch([{
+                        op: "remove",
+                        path: pointer
+                    }]);
+                }
+            } else if (typeof current === "undefined") {
+                self.applyPatch([{
+                    op: "add",
+                    path: pointer,
+                    value: original
+                }]);
+            } else {
+                self.applyPatch(createPatch(current, original, pointer, []));
+            }
+        };
+
+        /**
+         * applyPatch
+         * Applies JSON Patch (RFC 6902) operations ("add", "remove",
+         * "replace", "move", "copy" and "test") to the data and updates the
+         * form. The array items are added and removed as table rows, and the
+         * fields which are added to objects are added to the schema with the
+         * type of their value. If an operation fails, an error is thrown and
+         * nothing is changed. After the patch is applied, the
+         * `jsonedit:patch` event is triggered on the container.
+         *
+         * @name applyPatch
+         * @function
+         * @param {Array} ops The JSON Patch operations. A single operation
+         * object is also accepted.
+         * @return {Object} The new data of the form.
+         */
+        self.applyPatch = function (ops) {
+            var oldData = self.getData(null, null, null, true),
+                doc = cloneValue(oldData),
+                results = [], result, rebuild = false;
+
+            ops = $.isArray(ops) ? ops : [ops];
+
+            // Apply all the operations to a copy of the data first, so that
+            // nothing is changed if one of them fails.
+            for (var i = 0; i < ops.length; i++) {
+                result = applyPatchOperation(doc, ops[i]);
+                doc = result.doc;
+                results.push(result);
+            }
+
+            for (i = 0; i < results.length; i++) {
+                result = results[i];
+                var path = result.path,
+                    steps = [];
+
+                switch (ops[i].op) {
+                    case "move":
+                        steps.push(["remove", result.from]);
+                        steps.push(["add", path]);
+                        break;
+                    case "copy":
+                    case "add":
+                        steps.push(["add", path]);
+                        break;
+                    case "remove":
+                    case "replace":
+                        steps.push([ops[i].op, path]);
+                        break;
+                }
+
+                // The fields missing in an object which replaces another one
+                // are removed.
+                if (ops[i].op === "replace" &&
+                        getTypeOf(result.value) === "object") {
+                    var def = self.getDefinitionAtPath(path) || {},
+                        order = def.type === "object" || path === "" ?
+                            Object(def.schema)[settings.orderProperty] : [];
+                    $.each((order || []).slice(), function (k, name) {
+                        if (!result.value.hasOwnProperty(name)) {
+                            steps.unshift(["remove", (path ? path + "." : "") +
+                                    encodeKey(name)]);
+                        }
+                    });
+                }
+
+                for (var j = 0; j < steps.length; j++) {
+                    // The fields removed from objects are also removed from
+                    // the schema, except the optional ones.
+                    if (steps[j][0] === "remove" &&
+                            !isOptionalField(steps[j][1])) {
+                        deleteFieldDefinition(steps[j][1]);
+                    }
+                    if (!rebuild) {
+                        rebuild = !applyOperationToUi(steps[j][0], steps[j][1],
+                                result.value);
+                    }
+                }
+            }
+
+            // If the form could not be updated in place or it does not
+            // contain the new data (for example because of new object fields),
+            // it is created again with the new data.
+            if (rebuild || !valuesAreEqual(self.getData(null, null, null,
+                            true), doc)) {
+                settings.data = doc;
+                if (getTypeOf(doc) === "object") {
+                    addInferredFields(settings.schema, doc);
+                }
+                schemaCoreProperties(settings.schema);
+                rebuildUi();
+            } else {
+                settings.data = cloneValue(doc);
+            }
+
+            emit("patch", {
+                path: "",
+                oldValue: oldData,
+                newValue: self.getData(null, null, null, true),
+                ops: ops
+            });
+            return self.getData(null, null, null, true);
+        };
+
+        /**
+         * setRawMode
+         * Switches between the form and the raw JSON mode, in which the form
+         * is replaced with a textarea containing the data as indented JSON
+         * text. When switching back to the form, the text is parsed, the
+         * schema is inferred again from the new data and merged with the
+         * existing field definitions, and the form is rebuilt. If the text is
+         * not valid JSON or its value is not an object, the error and its
+         * position are shown below the textarea and the editor stays in the
+         * raw JSON mode. If the data was
+         * changed, the `jsonedit:rawedit` event is triggered on the
+         * container.
+         *
+         * @name setRawMode
+         * @function
+         * @param {Boolean} enabled `true` to show the raw JSON text, `false`
+         * to show the form.
+         * @return {Boolean} `false` if the text is not valid JSON or not an
+         * object, `true` otherwise.
+         */
+        self.setRawMode = function (enabled) {
+            var text, data, oldData, position, $textarea;
+
+            /*!
+             * Shows an error below the textarea and moves the cursor to the
+             * given offset in the text.
+             */
+            function showRawError(message, offset) {
+                $raw.append($("<div>", {
+                    "class": "json-editor-error",
+                    text: message
+                }));
+                if ($textarea[0].setSelectionRange) {
+                    $textarea.focus();
+                    $textarea[0].setSelectionRange(offset, offset);
+                }
+            }
+
+            if (enabled) {
+                if ($raw) return true;
+                $raw = $("<div>", {
+                    "class": "json-editor-raw"
+                }).append($("<textarea>", {
+                    "class": "json-editor-raw-input",
+                    rows: 20,
+                    cols: 80,
+                    spellcheck: false
+                }).val(stringifyData()));
+                self.container.children(".json-editor-group").hide();
+                self.container.append($raw);
+                self.container.find(".json-editor-raw-toggle")
+                    .val("✎ Edit form");
+                return true;
+            }
+
+            if (!$raw) return true;
+
+            $textarea = $raw.children("textarea");
+            text = $textarea.val();
+            $raw.children(".json-editor-error").remove();
+            try {
+                data = JSON.parse(text);
+            } catch (e) {
+                position = getJsonErrorPosition(text);
+                showRawError(formatMessage("INVALID_JSON", position.line,
+                            position.column, e.message), position.offset);
+                return false;
+            }
+            // The form edits an object, the other values would replace the
+            // entire data.
+            if (getTypeOf(data) !== "object") {
+                showRawError(formatMessage("INVALID_JSON_ROOT"),
+                        text.search(/\S/));
+                return false;
+            }
+
+            $raw.remove();
+            $raw = null;
+            self.container.find(".json-editor-raw-toggle")
+                .val("✎ Edit JSON");
+
+            oldData = self.getData(null, null, null, true);
+
+            // Infer the schema from the new data and merge it with the
+            // existing field definitions, so that the labels, the possible
+            // values and the other metadata are kept.
+            syncFieldDefinitions(settings.schema, data);
+            settings.schema = mergeRecursive(sch(data, null, null, null,
+                        settings.inferTemporalTypes), settings.schema);
+            syncFieldDefinitions(settings.schema, data);
+            schemaCoreProperties(settings.schema);
+            data = reviveValues({
+                type: "object",
+                schema: settings.schema
+            }, data);
+
+            if (valuesAreEqual(oldData, data)) {
+                self.container.children(".json-editor-group").show();
+                return true;
+            }
+
+            settings.data = data;
+            rebuildUi();
+            emit("rawedit", {
+                path: "",
+                oldValue: oldData,
+                newValue: self.getData(null, null, null, true)
+            });
+            return true;
+        };
+
+        /**
+         * isRawMode
+         * Checks whether the raw JSON text is shown instead of the form (see
+         * `setRawMode`).
+         *
+         * @name isRawMode
+         * @function
+         * @return {Boolean} `true` in the raw JSON mode, `false` otherwise.
+         */
+        self.isRawMode = function () {
+            return $raw !== null;
+        };
+
+        /**
+         * collapse
+         * Collapses the group of a field of type "object" or "array" (or the
+         * node in the tree mode), hiding its fields or its table. The paths of
+         * the other fields are ignored.
+         *
+         * @name collapse
+         * @function
+         * @param {String} path The path or the JSON Pointer of the field.
+         * @return {undefined}
+         */
+        self.collapse = function (path) {
+            var $group = $("[data-json-editor-path='" + normalizePath(path) +
+                    "']", self.container).closest(".json-editor-group");
+
+            setNodeExpanded($group, false);
+        };
+
+        /**
+         * expand
+         * Expands the group of a field of type "object" or "array" (or the
+         * node in the tree mode) and the groups of its ancestor fields, so that
+         * it is visible. The paths of the other fields are ignored.
+         *
+         * @name expand
+         * @function
+         * @param {String} path The path or the JSON Pointer of the field.
+         * @return {undefined}
+         */
+        self.expand = function (path) {
+            var $group = $("[data-json-editor-path='" + normalizePath(path) +
+                    "']", self.container).closest(".json-editor-group");
+
+            if (!isCollapsible($group)) return;
+
+            $group.parents(".json-editor-collapsed").addBack()
+                .filter(".json-editor-collapsed").each(function () {
+                    setNodeExpanded($(this), true);
+                });
+        };
+
+        /**
+         * collapseAll
+         * Collapses the groups of all the fields of type "object" and "array"
+         * (or the nodes in the tree mode) at the given depth or deeper, and
+         * expands the ones above it.
+         *
+         * @name collapseAll
+         * @function
+         * @param {Number} depth Optional, the depth from which the fields are
+         * collapsed. The fields at the first level have the depth 0, which is
+         * the default value, so by default all the fields are collapsed.
+         * @return {undefined}
+         */
+        self.collapseAll = function (depth) {
+            depth = depth || 0;
+            self.container.find(".json-editor-node-toggle")
+                .closest(".json-editor-group").each(function () {
+                    var $group = $(this);
+                    setNodeExpanded($group,
+                            getNodeDepth(getNodePath($group)) < depth);
+                });
+        };
+
+        /**
+         * undo
+         * Undoes the latest change made by the user: a value edit, the
+         * addition or deletion of an array item, or the addition, renaming or
+         * deletion of a field or of a table column. The form is rebuilt and
+         * the `jsonedit:undo` event is triggered on the container.
+         *
+         * @name undo
+         * @function
+         * @return {Boolean} `true` if a change was undone, `false` if there
+         * was no change to undo.
+         */
+        self.undo = function () {
+            var snapshot = history.undo.pop();
+
+            if (!snapshot) return false;
+
+            history.redo.push(history.current);
+            restoreSnapshot(snapshot);
+            emit("undo", {
+                path: "",
+                oldValue: history.redo[history.redo.length - 1].data,
+                newValue: history.current.data
+            });
+            return true;
+        };
+
+        /**
+         * redo
+         * Redoes the latest change undone with the `undo` method. The form is
+         * rebuilt and the `jsonedit:redo` event is triggered on the
+         * container.
+         *
+         * @name redo
+         * @function
+         * @return {Boolean} `true` if a change was redone, `false` if there
+         * was no change to redo.
+         */
+        self.redo = function () {
+            var snapshot = history.redo.pop();
+
+            if (!snapshot) return false;
 
-            directValue = false;
-            data = {};
+            history.undo.push(history.current);
+            restoreSnapshot(snapshot);
+            emit("redo", {
+                path: "",
+                oldValue: history.undo[history.undo.length - 1].data,
+                newValue: history.current.data
+            });
+            return true;
+        };
 
-            // Traverse all the fields in the UI which are not being edited (and
-            // they do not have a parent field that is being edited). If the
-            // `includeFieldsBeingEdited` argument is true, also traverse the
-            // fields that are being edited and their descendant fields.
-            selector = "[data-json-editor-path]";
-            if (!includeFieldsBeingEdited) {
-                selector += ":not(.json-editor-edited, .json-editor-edited *)";
-            }
-            $(selector, root).each(function () {
-                var val;
-                var $this = $(this);
-                var type = $this.attr("data-json-editor-type");
+        /**
+         * canUndo
+         * Checks whether there are changes that can be undone.
+         *
+         * @name canUndo
+         * @function
+         * @return {Boolean} `true` if the `undo` method can undo a change.
+         */
+        self.canUndo = function () {
+            return history.undo.length > 0;
+        };
 
-                var p = $this.attr("data-json-editor-path");
-                p = analyzePath(path, p, includeNewItemEditors);
-                if (typeof p !== "string") return;
+        /**
+         * canRedo
+         * Checks whether there are undone changes that can be redone.
+         *
+         * @name canRedo
+         * @function
+         * @return {Boolean} `true` if the `redo` method can redo a change.
+         */
+        self.canRedo = function () {
+            return history.redo.length > 0;
+        };
 
-                // If `type` is "array" we set the value to an empty array to be
-                // sure that an array with no elements will still be in the
-                // generated data. The elements of the array will be read from
-                // other jQuery elements with paths ending in ".X" or
-                // containing ".X." where `X` is a number.
-                if (type === "array") {
-                    val = [];
-                } else if (type === "object") {
-                    // Handle objects without fields. (They might have a purpose
-                    // if they have the `addField: true` property set.)
-                    val = {};
-                } else {
-                    // If `type` is not an array we read the value from the
-                    // jQuery element.
-                    val = self.getValueFromElement($this);
-                }
-                if (p.length > 0) { // If the given path is not a direct value
-                    // set the value in the `data` object at the specified
-                    // path.
-                    data[p] = val;
-                } else {
-                    // If it is a direct value, at the end of the function we
-                    // will return `data` without processing it.
-                    directValue = true;
-                    data = val;
-                }
-            });
+        /**
+         * getInferenceConflicts
+         * Returns the type conflicts found in the arrays of the current data:
+         * the fields whose values have different types in different items
+         * (for example numbers and strings), which get the type "any" when
+         * the schema is inferred from the data.
+         *
+         * @name getInferenceConflicts
+         * @function
+         * @return {Array} The conflicts, objects containing the `path` of the
+         * field (without array indices) and its `types`.
+         */
+        self.getInferenceConflicts = function () {
+            var conflicts = [];
+            sch(self.getData(), null, null, conflicts,
+                    settings.inferTemporalTypes);
+            return conflicts;
+        };
 
-            // Handle fields with editable names.
-            $("[data-json-object-key]", root).each(function () {
-                var $this = $(this);
+        /**
+         * validate
+         * Validates the data in the form against the constraints in the field
+         * definitions: `required`, `minimum`, `maximum`, `minLength`,
+         * `maxLength`, `pattern`, `minItems`, `maxItems` and `uniqueItems`.
+         * The empty number inputs have the value `null`, which breaks the
+         * `required` constraint. The custom validators given in the
+         * `validators` option are also called and their results are awaited.
+         * The error messages are shown next to the input groups of the
+         * invalid fields and the inputs of the invalid fields receive the
+         * `invalid` CSS class.
+         *
+         * @name validate
+         * @function
+         * @return {Promise} A promise resolved with the errors, objects
+         * containing the `path` of the invalid field and the error `message`.
+         * The array is empty if the data is valid.
+         */
+        self.validate = function () {
+            var ctx = {
+                data: self.getData(),
+                errors: [],
+                pending: []
+            };
 
-                // The path to the field with editable key
-                var p = $this.attr("data-json-key-path");
-                p = analyzePath(path, p, includeNewItemEditors);
-                if (typeof p !== "string") return;
+            validateFields(settings.schema, ctx.data, "", ctx);
 
-                var value = data[p];
-                delete data[p];
-                data[$this.val()] = value;
+            return Promise.all(ctx.pending).then(function (results) {
+                var errors = ctx.errors.concat.apply(ctx.errors, results);
+                showErrors(errors);
+                return errors;
             });
+        };
 
-            // If the value is a direct value, it is still possible that it is
-            // an object which should pe unflattened. But if it isn't an object
-            // then it is an elementary value which should be directly returned.
-            if (directValue && getTypeOf(data) !== "object") {
-                return data;
+        /**
+         * destroy
+         * Removes the form, the raw JSON text and the raw mode button from the
+         * container, detaches the event handlers of the editor (all of them
+         * are in the ".jsonEdit" namespace, the handlers added by the user are
+         * kept) and cancels the pending validations. The container can then
+         * be used for a new editor.
+         *
+         * @name destroy
+         * @function
+         * @return {undefined}
+         */
+        self.destroy = function () {
+            for (var path in validationTimers) {
+                clearTimeout(validationTimers[path]);
+            }
+            validationTimers = {};
+            validationTokens = {};
+
+            self.container.off(".jsonEdit");
+            destroyWidgets(self.container.children(".json-editor-group"));
+            // Removing the elements with jQuery also removes the handlers
+            // attached to the elements inside them.
+            self.container.children(".json-editor-group, " +
+                    ".json-editor-raw-toggle").remove();
+            if ($raw) {
+                $raw.remove();
+                $raw = null;
+            }
+            if (self.container.data("jsonEdit") === self) {
+                self.container.removeData("jsonEdit");
             }
-            // If it isn't a direct value and if it isn't an object, it surely
-            // must be unflattened and processed (searched) for integer property
-            // names which should be transformed in arrays.
-            return handleArrays(unflattenObject(data));
         };
 
+        // Convert standard JSON Schema documents to the format of the editor
+        if (isJsonSchemaDocument(settings.schema)) {
+            settings.schema = fromJsonSchema(settings.schema,
+                    settings.orderProperty);
+        }
+
+        // The temporal types are inferred from the ISO 8601 strings before
+        // they are decoded to dates, which do not tell a date from a date
+        // with a time.
+        if (settings.inferTemporalTypes) {
+            settings.schema = mergeRecursive(sch(settings.data, null, null,
+                        null, true), settings.schema);
+        }
+
+        // Decode the values of the dates, of the regular expressions and of
+        // the other types which have serializers in the JSON data.
+        if (settings.serialize) {
+            settings.data = reviveValues({
+                type: "object",
+                schema: settings.schema
+            }, cloneValue(settings.data));
+        }
+
         // Merge schema object
-        settings.schema = mergeRecursive(sch(settings.data), settings.schema);
+        settings.schema = mergeRecursive(sch(settings.data, null, null, null,
+                    settings.inferTemporalTypes), settings.schema);
 
         // Attach core properties to schema objects
         schemaCoreProperties(settings.schema);
 
+        // The ISO 8601 strings which received the types "date" and
+        // "datetime" become dates.
+        if (settings.inferTemporalTypes) {
+            settings.data = reviveValues({
+                type: "object",
+                schema: settings.schema
+            }, cloneValue(settings.data));
+        }
+
+        // Trigger the change event when the user changes the value of an input
+        // and the rename event when the user changes an editable field name.
+        self.container.on("change.jsonEdit", function (e) {
+            var $target = $(e.target), $input, type, path, oldValue, newValue,
+                keyPath, value;
+
+            if ($target.is("[data-json-object-key]")) {
+                oldValue = $target.data("jsonEditorValue");
+                newValue = $target.val();
+                if (oldValue === newValue) return;
+
+                $target.data("jsonEditorValue", newValue);
+                keyPath = $target.attr("data-json-key-path");
+                renameFieldDefinition(self.setNameInPath(keyPath, oldValue),
+                        newValue);
+                path = self.setNameInPath(keyPath, newValue);
+                // Renaming a key does not change its value.
+                value = findValue(self.getData(), path);
+                emit("fieldrename", {
+                    path: path,
+                    oldPath: self.setNameInPath(keyPath, oldValue),
+                    oldValue: value,
+                    newValue: value
+                });
+                return;
+            }
+
+            $input = $target.closest("[data-json-editor-path]",
+                    self.container[0]);
+            type = $input.attr("data-json-editor-type");
+            path = $input.attr("data-json-editor-path");
+
+            // The changes of the new item editors do not change the data.
+            if ($input.length === 0 || type === "object" ||
+                    type === "array" || /(^|\.)\+(\.|$)/.test(path)) {
+                return;
+            }
+
+            oldValue = $input.data("jsonEditorValue");
+            newValue = self.getValueFromElement($input);
+            $input.data("jsonEditorValue", newValue);
+            if (getComparableValue(oldValue) === getComparableValue(newValue)) {
+                return;
+            }
+            emit("change", {
+                path: path,
+                oldValue: oldValue,
+                newValue: newValue
+            });
+        });
+
+        // Record the changes made by the user in the undo/redo history.
+        self.container.on("jsonedit:change.jsonEdit jsonedit:rowadd.jsonEdit " +
+                "jsonedit:rowdelete.jsonEdit jsonedit:fieldadd.jsonEdit " +
+                "jsonedit:fieldrename.jsonEdit jsonedit:fielddelete.jsonEdit " +
+                "jsonedit:patch.jsonEdit jsonedit:reset.jsonEdit " +
+                "jsonedit:rawedit.jsonEdit", recordHistory);
+
+        // Mark the changed fields.
+        self.container.on("jsonedit:change.jsonEdit jsonedit:rowadd.jsonEdit " +
+                "jsonedit:rowdelete.jsonEdit jsonedit:fieldadd.jsonEdit " +
+                "jsonedit:fieldrename.jsonEdit jsonedit:fielddelete.jsonEdit " +
+                "jsonedit:patch.jsonEdit jsonedit:reset.jsonEdit " +
+                "jsonedit:rawedit.jsonEdit jsonedit:undo.jsonEdit " +
+                "jsonedit:redo.jsonEdit", updateDirtyClasses);
+
+        // Update the numbers of fields and items in the tree nodes.
+        if (settings.mode === "tree") {
+            self.container.on("jsonedit:rowadd.jsonEdit " +
+                    "jsonedit:rowdelete.jsonEdit jsonedit:fieldadd.jsonEdit " +
+                    "jsonedit:fielddelete.jsonEdit jsonedit:patch.jsonEdit " +
+                    "jsonedit:reset.jsonEdit", function () {
+                updateNodeCounts();
+            });
+        }
+
+        // Undo with Ctrl+Z and redo with Ctrl+Shift+Z or Ctrl+Y (or with the
+        // Cmd key instead of Ctrl).
+        self.container.on("keydown.jsonEdit", function (e) {
+            var key = String.fromCharCode(e.which).toLowerCase(),
+                $target = $(e.target),
+                $input = $target.closest("[data-json-editor-path]",
+                        self.container[0]),
+                type = $input.attr("data-json-editor-type");
+
+            // The browser undoes the typing in the raw JSON text and in the
+            // field editors, which are not part of the history.
+            if (!(e.ctrlKey || e.metaKey) || (key !== "z" && key !== "y") ||
+                    $target.closest(".json-editor-raw-input, " +
+                        ".json-editor-new-field-form, " +
+                        ".json-editor-edit-field-form").length > 0) {
+                return;
+            }
+            // While the user types in an input (or in an input of a widget),
+            // the browser undoes the typing, the change is not yet in the
+            // history.
+            if ($target.is("input, textarea, select") &&
+                    $input.length > 0 && type !== "object" &&
+                    type !== "array" &&
+                    getComparableValue($input.data("jsonEditorValue")) !==
+                    getComparableValue(self.getValueFromElement($input))) {
+                return;
+            }
+
+            if (key === "y" || e.shiftKey) {
+                self.redo();
+            } else {
+                self.undo();
+            }
+            e.preventDefault();
+        });
+
+        // Validate the inputs while the user types in them. The validation of
+        // an input is delayed until the user stops typing for
+        // `settings.validationDelay` milliseconds.
+        if (settings.liveValidation) {
+            self.container.on("input.jsonEdit change.jsonEdit", function (e) {
+                var $input = $(e.target).closest("[data-json-editor-path]",
+                        self.container[0]);
+                var type = $input.attr("data-json-editor-type");
+                var path = $input.attr("data-json-editor-path");
+
+                // Objects and arrays are validated when they are submitted
+                // with `validate`, and the new item editors are not part of
+                // the data.
+                if ($input.length === 0 || type === "object" ||
+                        type === "array" || /(^|\.)\+(\.|$)/.test(path)) {
+                    return;
+                }
+
+                clearTimeout(validationTimers[path]);
+                validationTimers[path] = setTimeout(function () {
+                    delete validationTimers[path];
+                    validateInput($input);
+                }, settings.validationDelay);
+            });
+        }
+
+        // The button which switches between the form and the raw JSON mode.
+        if (settings.rawModeToggle) {
+            self.container.prepend($("<input>", {
+                type: "button",
+                value: "✎ Edit JSON",
+                "class": "json-editor-raw-toggle",
+                on: {
+                    click: function () {
+                        self.setRawMode(!self.isRawMode());
+                    }
+                }
+            }));
+        }
+
         // Auto init
         if (settings.autoInit === true) {
             self.initUi();
         }
 
+        // The editor can be retrieved with `$(container).data("jsonEdit")`.
+        self.container.data("jsonEdit", self);
+
         return self;
     };
 
+    /**
+     * $.fn.jsonEdit.setDefaults
+     * Changes the default UI elements, converters and serializers used by
+     * the JSON editors created after this call. The editors receive their own
+     * copies of the defaults, which are overridden by the `labels`, `groups`,
+     * `inputs`, `converters` and `serialize` options, so these options do not
+     * change the other editors.
+     *
+     * @name setDefaults
+     * @function
+     * @param {Object} defaults An object containing one or more of the
+     * following fields: `labels`, `groups`, `inputs`, `converters` and
+     * `serialize`, objects with the same format as the options of the same
+     * names.
+     * @return {undefined}
+     */
+    JsonEdit.setDefaults = function (defaults) {
+        defaults = defaults || {};
+        $.extend(JsonEdit.labels, defaults.labels);
+        $.extend(JsonEdit.groups, defaults.groups);
+        $.extend(JsonEdit.inputs, defaults.inputs);
+        $.extend(JsonEdit.converters, defaults.converters);
+        if (getTypeOf(defaults.serialize) === "object") {
+            $.extend(JsonEdit.serializers, defaults.serialize);
+        }
+    };
+
     // Default converter functions
     JsonEdit.converters = {
         boolean: function (value) {
@@ -3642,20 +8060,103 @@
             }
             return value.toString();
         },
+        // An empty input has the null value, rejected by the validation of
+        // the required fields.
         number: function (value) {
+            if (value === "") return null;
+            return Number(value);
+        },
+        // Like for the numbers, an empty input has the null value. The
+        // fractional values are kept and rejected by the validation.
+        integer: function (value) {
+            if (value === "") return null;
             return Number(value);
         },
+        // The text of an invalid regular expression is kept, and rejected
+        // by the validation.
         regexp: function (value) {
-            return new RegExp(value);
+            if (getTypeOf(value) === "regexp") return value;
+            try {
+                return parseRegExp(value);
+            } catch (e) {
+                return value;
+            }
         },
+        // The date widgets already return dates, in the timezone of the field.
         date: function (value) {
+            if (getTypeOf(value) === "date") return value;
             return new Date(value + " UTC");
+        },
+        // The strings without an offset are in UTC, like in the date widgets.
+        datetime: function (value) {
+            if (getTypeOf(value) === "date") return value;
+            return parseDateInput(String(value));
+        },
+        time: function (value) {
+            return String(value);
+        },
+        duration: function (value) {
+            return String(value);
+        },
+        "null": function () {
+            return null;
+        },
+        // The text which is not valid JSON is a string.
+        any: function (value) {
+            try {
+                return JSON.parse(value);
+            } catch (e) {
+                return value;
+            }
+        }
+    };
+
+    // Default serializers, which convert the values which are not JSON values
+    // to JSON values (`encode`) and back (`decode`). The `detect` function
+    // recognizes the encoded values which are not described by the schema.
+    JsonEdit.serializers = {
+        // ISO 8601 strings, for example "2015-10-22T00:00:00.000Z"
+        date: {
+            // The dates of the fields of type "date" are written without the
+            // time, in the timezone of the field.
+            encode: function (value, def) {
+                if (isNaN(value.getTime())) return null;
+                return Object(def).type === "date" ? formatDateInput(value,
+                        false, Object(def).timezone === "local") :
+                    value.toISOString();
+            },
+            // The strings without an offset are in the timezone of the field.
+            decode: function (value, def) {
+                return typeof value === "string" ? parseDateInput(value,
+                        Object(def).timezone === "local") : value;
+            },
+            // The dates with times and offsets
+            detect: function (value) {
+                return typeof value === "string" &&
+                    temporalFormats.datetime.test(value) &&
+                    /(Z|[+-]\d{2}:\d{2})$/.test(value);
+            }
+        },
+        // Strings like "/pattern/flags"
+        regexp: {
+            encode: function (value) {
+                return value.toString();
+            },
+            decode: function (value) {
+                if (typeof value !== "string") return value;
+                try {
+                    return parseRegExp(value);
+                } catch (e) {
+                    return value;
+                }
+            }
         }
     };
 
     // Default group elements
     JsonEdit.groups = {
         "number":   $("<div>").append($("<label>")),
+        "integer":  $("<div>").append($("<label>")),
         "boolean":  $("<div>").append($("<label>")),
         "string":   $("<div>").append($("<label>")),
         "regexp":   $("<div>").append($("<label>")),
@@ -3669,27 +8170,467 @@
         // user would click inside that field of type "array" or "object".
         "array":    $("<div>"),
         "object":   $("<div>"),
-        "date":     $("<div>").append($("<label>"))
+        "date":     $("<div>").append($("<label>")),
+        "datetime": $("<div>").append($("<label>")),
+        "time":     $("<div>").append($("<label>")),
+        "duration": $("<div>").append($("<label>")),
+        "null":     $("<div>").append($("<label>")),
+        "any":      $("<div>").append($("<label>"))
     };
 
     // Default label elements
     JsonEdit.labels = {
         "number": $("<span>"),
+        "integer": $("<span>"),
         "boolean": $("<span>"),
         "string": $("<span>"),
         "regexp": $("<span>"),
         "date": $("<span>"),
+        "datetime": $("<span>"),
+        "time": $("<span>"),
+        "duration": $("<span>"),
         "object": $("<h3>"),
-        "array": $("<h3>")
+        "array": $("<h3>"),
+        "null": $("<span>"),
+        "any": $("<span>")
     };
 
     // Default input elements
     JsonEdit.inputs = {
         "number": $("<input>", {type: "number"}),
+        "integer": $("<input>", {type: "number", step: 1}),
         "boolean": $("<input>", {type: "checkbox"}),
         "string": $("<input>", {type: "text"}),
         "regexp": $("<input>", {type: "text"}),
         "date": $("<input>", {type: "date"}),
+        "datetime": $("<input>", {type: "datetime-local", step: 1}),
+        "time": $("<input>", {type: "time", step: 1}),
+        "duration": $("<input>", {type: "text", placeholder: "P1DT2H30M"}),
         "array": $("<input>", {type: "text"}),
+        "null": $("<input>", {type: "text", value: "null", disabled: true}),
+        "any": $("<input>", {type: "text"})
+    };
+
+    // Registered widgets
+    JsonEdit.widgets = {};
+
+    /**
+     * $.fn.jsonEdit.registerWidget
+     * Registers a widget which renders the input of the fields whose
+     * definitions contain `widget: name`. The element returned by `render`
+     * receives the `data-json-editor-path`, `data-json-editor-type` and
+     * `data-json-editor-widget` attributes, and the elements inside it should
+     * not have the `data-json-editor-path` attribute. The change and input
+     * events triggered inside the element are handled like the ones of the
+     * other inputs.
+     *
+     * @name registerWidget
+     * @function
+     * @param {String} name The name of the widget.
+     * @param {Object} widget An object containing the following functions:
+     *
+     *  - `render(field, editor)`: Returns the jQuery element of the input of
+     *  the given field definition. The element may be cloned (with its event
+     *  handlers) for the new rows of the tables.
+     *  - `getValue($el)`: Returns the value of the element, which is then
+     *  converted with the converter of the field type (see the `converters`
+     *  option).
+     *  - `setValue($el, value)`: Sets the value of the field to the element.
+     *  - `destroy($el)`: Optional, called before the element is removed,
+     *  when the field or the array item is deleted, when the form is rebuilt
+     *  or when the editor is destroyed.
+     * @return {undefined}
+     */
+    JsonEdit.registerWidget = function (name, widget) {
+        widget = widget || {};
+        if (typeof widget.render !== "function" ||
+                typeof widget.getValue !== "function" ||
+                typeof widget.setValue !== "function") {
+            throw new Error("The widget \"" + name + "\" should have the " +
+                    "render, getValue and setValue functions.");
+        }
+        JsonEdit.widgets[name] = widget;
     };
+
+    // The default widget, the input of the field type from the `inputs`
+    // option.
+    JsonEdit.registerWidget("input", {
+        render: function (field, editor) {
+            var $input = editor.inputs[field.type].clone(true);
+
+            // The number inputs are limited by the `minimum` and `maximum`
+            // constraints.
+            if (field.type === "number" || field.type === "integer") {
+                if (typeof field.minimum === "number") {
+                    $input.attr("min", field.minimum);
+                }
+                if (typeof field.maximum === "number") {
+                    $input.attr("max", field.maximum);
+                }
+            }
+            return $input;
+        },
+        getValue: function ($el) {
+            // The empty string below is necessary because the jQuery `val`
+            // function on fields with possible values (which possibly have
+            // the type "string" or "number", present in the UI as <select>s,
+            // will return `null` if the set value is not in the list of
+            // possible values and the implicit value is `undefined` which may
+            // not be one of the possible values. The string converter
+            // function called after the widget sometimes expects a non-null
+            // value.
+            return $el.val() || "";
+        },
+        setValue: function ($el, value) {
+            $el.val(value);
+        }
+    });
+
+    // The default widget of the fields of type "boolean".
+    JsonEdit.registerWidget("checkbox", {
+        render: function (field, editor) {
+            return editor.inputs[field.type].clone(true);
+        },
+        getValue: function ($el) {
+            return $el.prop("checked");
+        },
+        setValue: function ($el, value) {
+            $el.prop("checked", value);
+        }
+    });
+
+    // The default widget of the fields of type "date".
+    /*!
+     * formatDateInput
+     * Returns the text of a date in the format of the inputs of type "date"
+     * ("2015-10-22") or "datetime-local" ("2015-10-22T10:30:00", with the
+     * milliseconds if they are not 0), in UTC or in the local timezone.
+     *
+     * @name formatDateInput
+     * @function
+     * @param {Date} date The date.
+     * @param {Boolean} withTime If true, the time is added after the date.
+     * @param {Boolean} local If true, the local timezone is used instead of
+     * UTC.
+     * @return {String} The text of the date, or an empty string if the date
+     * is invalid.
+     */
+    function formatDateInput(date, withTime, local) {
+        var parts, text;
+
+        function pad(n, length) {
+            n = String(n);
+            while (n.length < (length || 2)) {
+                n = "0" + n;
+            }
+            return n;
+        }
+
+        if (isNaN(date.getTime())) return "";
+
+        parts = local ? [date.getFullYear(), date.getMonth(), date.getDate(),
+            date.getHours(), date.getMinutes(), date.getSeconds(),
+            date.getMilliseconds()] : [date.getUTCFullYear(),
+            date.getUTCMonth(), date.getUTCDate(), date.getUTCHours(),
+            date.getUTCMinutes(), date.getUTCSeconds(),
+            date.getUTCMilliseconds()];
+        text = pad(parts[0], 4) + "-" + pad(parts[1] + 1) + "-" + pad(parts[2]);
+        if (withTime) {
+            text += "T" + pad(parts[3]) + ":" + pad(parts[4]) + ":" +
+                pad(parts[5]) + (parts[6] ? "." + pad(parts[6], 3) : "");
+        }
+        return text;
+    }
+
+    /*!
+     * parseDateInput
+     * Creates a date from the text of an input of type "date" or
+     * "datetime-local" (see `formatDateInput`), in UTC or in the local
+     * timezone, or from an ISO 8601 string. The strings with an offset
+     * ("Z" or "+02:00") are in that offset, the others in the given timezone.
+     *
+     * @name parseDateInput
+     * @function
+     * @param {String} text The text of the input.
+     * @param {Boolean} local If true, the text is in the local timezone
+     * instead of UTC.
+     * @return {Date} The date, invalid if the text is not in the format of
+     * the inputs.
+     */
+    function parseDateInput(text, local) {
+        var match = new RegExp(/^(\d{4,})-(\d{2})-(\d{2})/.source +
+                    /(?:T(\d{2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?)?/.source +
+                    /(Z|([+-])(\d{2}):(\d{2}))?$/.source).exec(text),
+            parts, date;
+
+        if (!match) return new Date(NaN);
+
+        parts = $.map(match.slice(1, 8), function (part, i) {
+            // The milliseconds are the digits after the decimal point.
+            if (i === 6 && part) return Number((part + "00").substring(0, 3));
+            return Number(part || 0);
+        });
+        parts[1]--;
+        if (local && !match[8]) {
+            return new Date(parts[0], parts[1], parts[2], parts[3], parts[4],
+                    parts[5], parts[6]);
+        }
+        date = new Date(Date.UTC(parts[0], parts[1], parts[2], parts[3],
+                    parts[4], parts[5], parts[6]));
+        // The offset is subtracted to get the time in UTC.
+        if (match[9]) {
+            date.setTime(date.getTime() - (match[9] === "-" ? -1 : 1) *
+                    (match[10] * 60 + Number(match[11])) * 60000);
+        }
+        return date;
+    }
+
+    // The default widget of the fields of type "date" and "datetime". The
+    // `timezone` property of the field definition ("utc", the default, or
+    // "local") is the timezone in which the date is shown and edited.
+    $.each({
+        date: false,
+        datetime: true
+    }, function (name, withTime) {
+        JsonEdit.registerWidget(name, {
+            render: function (field, editor) {
+                return editor.inputs[field.type].clone(true)
+                    .data("jsonEditorTimezone", field.timezone === "local" ?
+                            "local" : "utc");
+            },
+            getValue: function ($el) {
+                if (!$el.val()) return "";
+                return parseDateInput($el.val(),
+                        $el.data("jsonEditorTimezone") === "local");
+            },
+            setValue: function ($el, value) {
+                // The ISO 8601 strings of the fields with inferred temporal
+                // types are accepted too.
+                if (typeof value === "string") {
+                    value = parseDateInput(value,
+                            $el.data("jsonEditorTimezone") === "local");
+                }
+                if (getTypeOf(value) !== "date") {
+                    $el.val("");
+                    return;
+                }
+                $el.val(formatDateInput(value, withTime,
+                            $el.data("jsonEditorTimezone") === "local"));
+            }
+        });
+    });
+
+    // The default widget of the fields of type "null", which always have
+    // the null value.
+    JsonEdit.registerWidget("null", {
+        render: function (field, editor) {
+            return editor.inputs[field.type].clone(true);
+        },
+        getValue: function () {
+            return null;
+        },
+        setValue: function () {}
+    });
+
+    // The default widget of the fields of type "any", whose values are
+    // written as JSON text.
+    JsonEdit.registerWidget("json", {
+        render: function (field, editor) {
+            return editor.inputs[field.type].clone(true);
+        },
+        getValue: function ($el) {
+            return $el.val();
+        },
+        setValue: function ($el, value) {
+            $el.val(typeof value === "undefined" ? "" :
+                    JSON.stringify(value));
+        }
+    });
+
+    // A multiline text input, with `rows` lines (default: 4).
+    JsonEdit.registerWidget("textarea", {
+        render: function (field) {
+            return $("<textarea>", {
+                rows: field.rows || 4
+            });
+        },
+        getValue: function ($el) {
+            return $el.val();
+        },
+        setValue: function ($el, value) {
+            $el.val(value);
+        }
+    });
+
+    // A slider for numbers between `minimum` and `maximum` (with the `step`
+    // increment), followed by the selected value.
+    JsonEdit.registerWidget("range", {
+        render: function (field) {
+            var $range = $("<input>", {
+                type: "range"
+            });
+
+            if (typeof field.minimum === "number") {
+                $range.attr("min", field.minimum);
+            }
+            if (typeof field.maximum === "number") {
+                $range.attr("max", field.maximum);
+            }
+            if (typeof field.step === "number") {
+                $range.attr("step", field.step);
+            }
+            // The handler is delegated, so that it also works in the clones
+            // of the element.
+            return $("<span>", {
+                "class": "json-editor-range"
+            }).append($range, $("<output>")).on("input change", "input",
+                    function () {
+                        $(this).next("output").text($(this).val());
+                    });
+        },
+        getValue: function ($el) {
+            return $el.children("input").val();
+        },
+        setValue: function ($el, value) {
+            $el.children("input").val(value);
+            $el.children("output").text($el.children("input").val());
+        }
+    });
+
+    /*!
+     * updateRegExpWidget
+     * Checks the syntax of the regular expression edited in a "regexp"
+     * widget, shows the syntax error if there is one, and shows the test
+     * string with the matches of the regular expression highlighted.
+     *
+     * @name updateRegExpWidget
+     * @function
+     * @param {jQuery} $el The element of the widget.
+     * @return {undefined}
+     */
+    function updateRegExpWidget($el) {
+        var regexp, match, text, index = 0, count = 0,
+            $preview = $el.children(".json-editor-regexp-preview").empty();
+
+        try {
+            regexp = new RegExp($el.children(".json-editor-regexp-pattern")
+                    .val(), $el.find(".json-editor-regexp-flags input:checked")
+                    .map(function () {
+                        return this.value;
+                    }).get().join(""));
+        } catch (e) {
+            $el.addClass("json-editor-regexp-invalid")
+                .children(".json-editor-regexp-error").text(e.message);
+            return;
+        }
+        $el.removeClass("json-editor-regexp-invalid")
+            .children(".json-editor-regexp-error").text("");
+
+        text = $el.children(".json-editor-regexp-test").val();
+        if (!text) return;
+
+        // Without the "g" flag only the first match is highlighted.
+        while ((match = regexp.exec(text)) !== null && (regexp.global ||
+                    count === 0)) {
+            if (regexp.global && match[0] === "") {
+                // Empty matches do not advance the search.
+                regexp.lastIndex++;
+                continue;
+            }
+            $preview.append(document.createTextNode(text.substring(index,
+                            match.index)), $("<mark>", {
+                text: match[0]
+            }));
+            index = match.index + match[0].length;
+            count++;
+            if (!regexp.global && !regexp.sticky) break;
+        }
+        $preview.append(document.createTextNode(text.substring(index)));
+    }
+
+    // The default widget of the fields of type "regexp": the pattern between
+    // slashes, a checkbox for each flag, the syntax error of an invalid
+    // regular expression and a test string shown below with the matches
+    // highlighted. The value of an invalid regular expression is its text
+    // (see the "regexp" converter).
+    JsonEdit.registerWidget("regexp", {
+        render: function () {
+            var $flags = $("<span>", {
+                "class": "json-editor-regexp-flags"
+            });
+
+            $.each(["g", "i", "m", "s", "u", "y"], function (i, flag) {
+                $flags.append($("<span>").append($("<input>", {
+                    type: "checkbox",
+                    value: flag
+                }), flag));
+            });
+            // The handler is delegated, so that it also works in the clones
+            // of the element.
+            return $("<span>", {
+                "class": "json-editor-regexp"
+            }).append("/", $("<input>", {
+                type: "text",
+                "class": "json-editor-regexp-pattern"
+            }), "/", $flags, $("<span>", {
+                "class": "json-editor-regexp-error"
+            }), $("<input>", {
+                type: "text",
+                "class": "json-editor-regexp-test",
+                placeholder: "Test string"
+            }), $("<output>", {
+                "class": "json-editor-regexp-preview"
+            })).on("input change", "input", function () {
+                updateRegExpWidget($(this).closest(".json-editor-regexp"));
+            });
+        },
+        getValue: function ($el) {
+            var pattern = $el.children(".json-editor-regexp-pattern").val(),
+                flags = $el.find(".json-editor-regexp-flags input:checked")
+                    .map(function () {
+                        return this.value;
+                    }).get().join("");
+
+            try {
+                return new RegExp(pattern, flags);
+            } catch (e) {
+                return "/" + pattern + "/" + flags;
+            }
+        },
+        setValue: function ($el, value) {
+            var match;
+
+            if (getTypeOf(value) !== "regexp") {
+                try {
+                    value = parseRegExp(String(value || ""));
+                } catch (e) {
+                    value = new RegExp("");
+                }
+            }
+            // The flags are the letters after the last slash.
+            match = /^\/(.*)\/([a-z]*)$/.exec(value.toString());
+            // The source of the empty regular expression is "(?:)".
+            $el.children(".json-editor-regexp-pattern").val(
+                    value.source === "(?:)" ? "" : match[1]);
+            $el.find(".json-editor-regexp-flags input").each(function () {
+                $(this).prop("checked", match[2].indexOf(this.value) !== -1);
+            });
+            updateRegExpWidget($el);
+        }
+    });
+
+    // A color picker for strings like "#ff0000".
+    JsonEdit.registerWidget("color", {
+        render: function () {
+            return $("<input>", {
+                type: "color"
+            });
+        },
+        getValue: function ($el) {
+            return $el.val();
+        },
+        setValue: function ($el, value) {
+            $el.val(value);
+        }
+    });
 })($);